@@ -1,10 +1,10 @@
-import { connectionFromArraySlice, cursorToOffset } from 'graphql-relay'
+import { connectionFromArray, connectionFromArraySlice, cursorToOffset } from 'graphql-relay'
 import { objToCursor, wrap, last } from './util'
 
 // a function for data manipulation AFTER its nested.
 // this is only necessary when using the SQL pagination
 // we have to interpret the slice that comes back and generate the Connection Object type
-function arrToConnection(data, sqlAST) {
+function arrToConnection(data, sqlAST, parentObj) {
   // use "post-order" tree traversal
   for (let astChild of sqlAST.children || []) {
     if (Array.isArray(data)) {
@@ -19,11 +19,14 @@ function arrToConnection(data, sqlAST) {
     hasNextPage: false,
     hasPreviousPage: false
   }
+  // read these before the extra row gets popped off. a connection that was already made has them
+  const aggregates = data && data._paginated ? {} : getAggregates(data, sqlAST, parentObj)
   if (!data) {
-    if (sqlAST.paginate) {
+    if (sqlAST.paginate || sqlAST.connection) {
       return {
         pageInfo,
-        edges: []
+        edges: [],
+        ...aggregates
       }
     } else {
       return null
@@ -63,7 +66,7 @@ function arrToConnection(data, sqlAST) {
         pageInfo.startCursor = edges[0].cursor
         pageInfo.endCursor = last(edges).cursor
       }
-      return { edges, pageInfo, _paginated: true }
+      return { edges, pageInfo, ...aggregates, _paginated: true }
     } else if (sqlAST.orderBy) {
       let offset = 0
       if (sqlAST.args && sqlAST.args.after) {
@@ -73,19 +76,44 @@ function arrToConnection(data, sqlAST) {
       const arrayLength = data[0] && parseInt(data[0].$total)
       const connection = connectionFromArraySlice(data, sqlAST.args || {}, { sliceStart: offset, arrayLength })
       connection.total = arrayLength || 0
+      Object.assign(connection, aggregates)
       connection._paginated = true
       return connection
     }
   }
+  // without pagination the connection is made from all the rows, so the aggregates have somewhere to go
+  if (sqlAST.connection && Array.isArray(data)) {
+    return { ...connectionFromArray(data, sqlAST.args || {}), ...aggregates, _paginated: true }
+  }
   return data
 }
 
 export default arrToConnection
 
+// joined fields have the aggregates on the parent's row. otherwise any of the rows in the data have them
+function getAggregates(data, sqlAST, parentObj) {
+  const values = {}
+  if (!sqlAST.aggregates) return values
+  const joined = parentObj && (sqlAST.sqlJoin || sqlAST.sqlJoins)
+  const source = joined ? parentObj : Array.isArray(data) && data[0]
+  for (let aggregate of sqlAST.aggregates) {
+    const value = source ? source[aggregate.fieldName] : null
+    // a count is never null, and some drivers return it as a string
+    values[aggregate.name] = aggregate.fn === 'count' ? parseInt(value, 10) || 0 : value
+  }
+  // they only belong on the connection, so they come off the rows they were hydrated onto
+  for (let obj of joined ? [ parentObj ] : wrap(data || [])) {
+    for (let aggregate of sqlAST.aggregates) {
+      delete obj[aggregate.fieldName]
+    }
+  }
+  return values
+}
+
 function recurseOnObjInData(dataObj, astChild) {
   const dataChild = dataObj[astChild.fieldName]
   if (dataChild) {
-    dataObj[astChild.fieldName] = arrToConnection(dataObj[astChild.fieldName], astChild)
+    dataObj[astChild.fieldName] = arrToConnection(dataObj[astChild.fieldName], astChild, dataObj)
   }
 }
 
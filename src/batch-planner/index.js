@@ -1,11 +1,12 @@
-import { uniq, chain, map, groupBy, forIn } from 'lodash'
+import { uniq, uniqBy, chain, map, groupBy, forIn, chunk, flatten } from 'lodash'
 import arrToConnection from '../array-to-connection'
-import { handleUserDbCall, maybeQuote, wrap, compileSqlAST } from '../util'
+import { handleUserDbCall, handleBatches, wrap, compileSqlAST } from '../util'
 
 
-export default async function nextBatch(sqlAST, data, dbCall, context, options) {
-  // paginated fields are wrapped in connections. strip those off for the batching
-  if (sqlAST.paginate) {
+// the path and depth are for the hooks to tell the batches apart
+export default async function nextBatch(sqlAST, data, dbCall, context, options, path = [ sqlAST.fieldName ], depth = 0) {
+  // paginated fields and the ones with aggregates are wrapped in connections. strip those off for the batching
+  if (sqlAST.paginate || sqlAST.connection) {
     if (Array.isArray(data)) {
       data = chain(data).flatMap('edges').map('node').value()
     } else {
@@ -16,41 +17,56 @@ export default async function nextBatch(sqlAST, data, dbCall, context, options)
     return 
   }
 
-  const children = sqlAST.children
-  children.push(...Object.values(sqlAST.typedChildren || {}))
+  // the fields on the member types of a union only go to the objects of that type
+  const children = sqlAST.children.map(childAST => [ childAST, null ])
+  for (let typeName in sqlAST.typedChildren || {}) {
+    children.push(...sqlAST.typedChildren[typeName].map(childAST => [ childAST, typeName ]))
+  }
+  const parentsOf = await parentsByType(sqlAST, data, context)
+  const tables = children
+    .filter(([ childAST ]) => childAST.type === 'table' || childAST.type === 'union')
+    .map(([ childAST, typeName ]) => ({ childAST, parents: parentsOf(typeName) }))
+    .filter(({ parents }) => Array.isArray(parents) ? parents.length > 0 : parents)
 
-  // loop through all the child fields that are tables
-  return Promise.all(children.map(async childAST => {
-    if (childAST.type !== 'table' && childAST.type !== 'union') return
+  // with the "combineBatches" option, the queries for all the sibling fields go to the database together, the chunks of each
+  // field included. so does a lone field with several chunks
+  const batchedTables = tables.filter(({ childAST }) => childAST.sqlBatch || childAST.junctionBatch)
+  let combinedData
+  if (options.combineBatches && batchedTables.length) {
+    const chunksOfEach = await Promise.all(batchedTables.map(({ childAST, parents }) => prepareBatches(childAST, parents, path, depth, context, options)))
+    const results = await handleBatches(dbCall, flatten(chunksOfEach), context, options)
+    // put the chunks of each field back together
+    combinedData = chunksOfEach.map(chunks => flatten(results.splice(0, chunks.length)))
+  }
 
+  // loop through all the child fields that are tables
+  return Promise.all(tables.map(async table => {
+    const { childAST } = table
+    // only the parents this field goes to. a one-to-one leaves out the ones it can't match, without changing them for the siblings
+    let data = table.parents
     const fieldName = childAST.fieldName
+    const childPath = [ ...path, fieldName ]
 
     // see if any begin a new batch
     if (childAST.sqlBatch || childAST.junctionBatch) {
-
-      let thisKey, parentKey
-      if (childAST.sqlBatch) {
-        // if so, we know we'll need to get the key for matching with the parent key
-        childAST.children.push(childAST.sqlBatch.thisKey)
-        thisKey = childAST.sqlBatch.thisKey.fieldName
-        parentKey = childAST.sqlBatch.parentKey.fieldName
-      } else if (childAST.junctionBatch) {
-        childAST.children.push(childAST.junctionBatch.thisKey)
-        thisKey = childAST.junctionBatch.thisKey.fieldName
-        parentKey = childAST.junctionBatch.parentKey.fieldName
+      const { thisKey, parentKey } = batchKeys(childAST)
+      let newData
+      if (combinedData) {
+        newData = combinedData[batchedTables.indexOf(table)]
+      } else {
+        const batches = await prepareBatches(childAST, data, path, depth, context, options)
+        // grab the data
+        const results = await mapWithConcurrency(batches, options.batchConcurrency, ({ sql, params, shapeDefinition, meta }) => {
+          return handleUserDbCall(dbCall, sql, params, childAST, shapeDefinition, context, options, meta)
+        })
+        newData = flatten(results)
       }
 
       if (Array.isArray(data)) {
-        // the "batch scope" is teh set of values to match this key against from the previous batch
-        const batchScope = uniq(data.map(obj => maybeQuote(obj[parentKey])))
-        // generate the SQL, with the batch scope values incorporated in a WHERE IN clause
-        const { sql, shapeDefinition } = await compileSqlAST(childAST, context, { ...options, batchScope } )
-        // grab the data
-        let newData = await handleUserDbCall(dbCall, sql, childAST, wrap(shapeDefinition))
         // group the rows by the key so we can match them with the previous batch
-        newData = groupBy(newData, thisKey)
-        // but if we paginate, we must convert to connection type first
-        if (childAST.paginate) {
+        newData = groupBy(newData, row => keyValue(row, thisKey))
+        // but if we paginate, we must convert to connection type first. so do the connections made for the aggregates
+        if (childAST.paginate || childAST.connection) {
           forIn(newData, (group, key, obj) => {
             obj[key] = arrToConnection(group, childAST)
           })
@@ -58,14 +74,14 @@ export default async function nextBatch(sqlAST, data, dbCall, context, options)
         // if we they want many rows, give them an array
         if (childAST.grabMany) {
           for (let obj of data) {
-            obj[fieldName] = newData[obj[parentKey]] || []
+            obj[fieldName] = newData[keyValue(obj, parentKey)] || (childAST.paginate || childAST.connection ? arrToConnection([], childAST) : [])
           }
         } else {
           let matchedData = []
           for (let obj of data) {
-            const ob = newData[obj[parentKey]]
+            const ob = newData[keyValue(obj, parentKey)]
             if (ob) {
-              obj[fieldName] = arrToConnection(newData[obj[parentKey]][0], childAST)
+              obj[fieldName] = arrToConnection(ob[0], childAST)
               matchedData.push(obj)
             } else {
               obj[fieldName] = null
@@ -76,35 +92,101 @@ export default async function nextBatch(sqlAST, data, dbCall, context, options)
 
         // move down a level and recurse
         const nextLevelData = chain(data).filter(obj => obj !== null).flatMap(obj => obj[fieldName]).value()
-        return nextBatch(childAST, nextLevelData, dbCall, context, options)
+        return nextBatch(childAST, nextLevelData, dbCall, context, options, childPath, depth + 1)
       } else {
-        const batchScope = [ maybeQuote(data[parentKey]) ]
-        const { sql, shapeDefinition } = await compileSqlAST(childAST, context, { ...options, batchScope } )
-        let newData = await handleUserDbCall(dbCall, sql, childAST, wrap(shapeDefinition))
-        newData = groupBy(newData, thisKey)
+        newData = groupBy(newData, row => keyValue(row, thisKey))
         if (childAST.paginate){
-          const targets = newData[data[parentKey]]
+          const targets = newData[keyValue(data, parentKey)]
           data[fieldName] = arrToConnection(targets, childAST)
         } else {
           if (childAST.grabMany) {
-            data[fieldName] = newData[data[parentKey]] || []
+            const targets = newData[keyValue(data, parentKey)] || []
+            data[fieldName] = childAST.connection ? arrToConnection(targets, childAST) : targets
           } else {
-            const targets = newData[data[parentKey]] || []
+            const targets = newData[keyValue(data, parentKey)] || []
             data[fieldName] = targets[0]
           }
         }
         if (data) {
-          return nextBatch(childAST, data[fieldName], dbCall, context, options)
+          return nextBatch(childAST, data[fieldName], dbCall, context, options, childPath, depth + 1)
         }
       }
     // otherwise, just bypass this and recurse down to the next level
     } else {
       if (Array.isArray(data)) {
         const nextLevelData = chain(data).filter(obj => obj !== null).flatMap(obj => obj[fieldName]).value()
-        return nextBatch(childAST, nextLevelData, dbCall, context, options)
+        return nextBatch(childAST, nextLevelData, dbCall, context, options, childPath, depth)
       } else if (data) {
-        return nextBatch(childAST, data[fieldName], dbCall, context, options)
+        return nextBatch(childAST, data[fieldName], dbCall, context, options, childPath, depth)
       }
     }
   }))
 }
+
+// get the objects that the fields of each type go to. the fields that aren't on a member type go to all of them
+async function parentsByType(sqlAST, data, context) {
+  const typedTables = flatten(Object.values(sqlAST.typedChildren || {}))
+    .filter(childAST => childAST.type === 'table' || childAST.type === 'union')
+  if (!typedTables.length) return () => data
+
+  const objects = wrap(data).filter(obj => obj != null)
+  const typeNames = await Promise.all(objects.map(obj => sqlAST.resolveType(obj, context)))
+  return typeName => {
+    if (!typeName) return data
+    const ofType = objects.filter((obj, i) => typeNames[i] === typeName)
+    return Array.isArray(data) ? ofType : ofType[0]
+  }
+}
+
+// the names of the keys on the rows. a composite key has an array of them
+function batchKeys(childAST) {
+  const { thisKey, parentKey } = childAST.sqlBatch || childAST.junctionBatch
+  const fieldNames = key => Array.isArray(key) ? map(key, 'fieldName') : key.fieldName
+  return { thisKey: fieldNames(thisKey), parentKey: fieldNames(parentKey) }
+}
+
+// the rows are grouped by the value of the key, which lodash makes a string.
+// the values of a composite key are made strings the same way and put together in one
+function keyValue(obj, key) {
+  return Array.isArray(key) ? JSON.stringify(key.map(name => String(obj[name]))) : obj[key]
+}
+
+// generate the SQL for a field that begins a new batch, with the "batch scope" values incorporated in a WHERE IN clause.
+// with the "maxBatchSize" option, a large scope is split into chunks which each get a query of their own
+async function prepareBatches(childAST, data, path, depth, context, options) {
+  // we'll need to get the key for matching with the parent key
+  childAST.children.push(...wrap((childAST.sqlBatch || childAST.junctionBatch).thisKey))
+  const { parentKey } = batchKeys(childAST)
+  // the "batch scope" is teh set of values to match this key against from the previous batch.
+  // for a composite key, each one is an array with the value of each column
+  let batchScope
+  if (Array.isArray(parentKey)) {
+    const values = obj => parentKey.map(name => obj[name])
+    batchScope = Array.isArray(data) ? uniqBy(data.map(values), JSON.stringify) : [ values(data) ]
+  } else {
+    batchScope = Array.isArray(data) ? uniq(data.map(obj => obj[parentKey])) : [ data[parentKey] ]
+  }
+  const chunks = options.maxBatchSize ? chunk(batchScope, options.maxBatchSize) : [ batchScope ]
+  return Promise.all(chunks.map(async chunkScope => {
+    const meta = { path: [ ...path, childAST.fieldName ].join('.'), depth: depth + 1, parentKeyCount: chunkScope.length }
+    const { sql, params, shapeDefinition } = await compileSqlAST(childAST, context, { ...options, batchScope: chunkScope })
+    return { sql, params, sqlAST: childAST, shapeDefinition: wrap(shapeDefinition), meta }
+  }))
+}
+
+// run them all at once, or no more than "limit" at a time. the results stay in order
+async function mapWithConcurrency(items, limit, fn) {
+  if (!limit || items.length <= limit) {
+    return Promise.all(items.map(fn))
+  }
+  const results = []
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index])
+    }
+  }
+  await Promise.all(Array.from({ length: limit }, worker))
+  return results
+}
@@ -1,4 +1,4 @@
-import { validateSqlAST } from './util'
+import { validateSqlAST, wrap } from './util'
 
 // generate an object that defines the correct nesting shape for our GraphQL
 // this will be used by the library NestHydrationJS, check out their docs
@@ -7,6 +7,11 @@ export default function defineObjectShape(topNode) {
   return _defineObjectShape(null, '', topNode)
 }
 
+// the rows of a list aggregated to JSON are named from the list down, as if it were the start of a query
+export function defineJsonListShape(node) {
+  return _defineObjectShape(null, '', node)
+}
+
 function _defineObjectShape(parent, prefix, node) {
   // if this table has a parent, prefix with the parent name and 2 underscores
   const prefixToPass = parent ? prefix + node.as + '__' : prefix
@@ -31,12 +36,20 @@ function _defineObjectShape(parent, prefix, node) {
       break
     case 'union':
     case 'table':
-      if (child.sqlBatch) {
-        fieldDefinition[child.sqlBatch.parentKey.fieldName] = prefixToPass + child.sqlBatch.parentKey.as
+      // the rows of a batch come later. this row only needs the values of the key to match them up with
+      if (child.sqlBatch || child.junctionBatch) {
+        defineParentKey(fieldDefinition, prefixToPass, child.sqlBatch || child.junctionBatch)
+      // the rows of a list aggregated to JSON are all in one column. they get hydrated after this
+      } else if (child.jsonAgg) {
+        fieldDefinition[child.fieldName] = prefixToPass + child.as
       } else {
         const definition = _defineObjectShape(node, prefixToPass, child)
         fieldDefinition[child.fieldName] = definition
       }
+      // the aggregates of joined fields are on this row
+      if (child.sqlJoin || child.sqlJoins) {
+        defineAggregates(fieldDefinition, prefixToPass, child)
+      }
     }
   }
 
@@ -60,8 +73,10 @@ function _defineObjectShape(parent, prefix, node) {
         break
       case 'union':
       case 'table':
-        if (child.sqlBatch) {
-          fieldDefinition[child.sqlBatch.parentKey.fieldName + suffix] = prefixToPass + child.sqlBatch.parentKey.as
+        if (child.sqlBatch || child.junctionBatch) {
+          defineParentKey(fieldDefinition, prefixToPass, child.sqlBatch || child.junctionBatch, suffix)
+        } else if (child.jsonAgg) {
+          fieldDefinition[child.fieldName + suffix] = prefixToPass + child.as
         } else {
           const definition = _defineObjectShape(node, prefixToPass, child)
           fieldDefinition[child.fieldName + suffix] = definition
@@ -70,6 +85,11 @@ function _defineObjectShape(parent, prefix, node) {
     }
   }
 
+  // at the start of a query, the aggregates are on every row
+  if (!parent) {
+    defineAggregates(fieldDefinition, prefixToPass, node)
+  }
+
   // if we need many, just wrap the field definition in an array
   if (node.grabMany) {
     return [ fieldDefinition ]
@@ -79,3 +99,15 @@ function _defineObjectShape(parent, prefix, node) {
   }
 }
 
+
+function defineParentKey(fieldDefinition, prefix, batch, suffix = '') {
+  for (let key of wrap(batch.parentKey)) {
+    fieldDefinition[key.fieldName + suffix] = prefix + key.as
+  }
+}
+
+function defineAggregates(fieldDefinition, prefix, node) {
+  for (let aggregate of node.aggregates || []) {
+    fieldDefinition[aggregate.fieldName] = prefix + aggregate.as
+  }
+}
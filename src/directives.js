@@ -0,0 +1,132 @@
+import { fromPairs } from 'lodash'
+import { wrap } from './util'
+
+// declare these in the type definitions of a schema-first project so the directives can be used on the types and fields
+export const directiveDefinitions = `
+directive @sqlTable(name: String!, uniqueKey: [String!], alwaysFetch: [String!]) on OBJECT | INTERFACE | UNION
+directive @sqlGroupBy(keys: [String!]!) on OBJECT
+directive @sqlColumn(name: String!) on FIELD_DEFINITION
+directive @sqlDeps(names: [String!]!) on FIELD_DEFINITION
+directive @sqlExpr(fn: String!) on FIELD_DEFINITION
+directive @sqlAggregate(fn: String!, column: String) on FIELD_DEFINITION
+directive @sqlJoin(fn: String!) on FIELD_DEFINITION
+directive @sqlBatch(thisKey: [String!]!, parentKey: [String!]!, keyType: String) on FIELD_DEFINITION
+directive @sqlRelation(thisKey: [String!]!, parentKey: [String!]!, junctionKey: String, childKey: String, keyType: String) on FIELD_DEFINITION
+directive @junctionTable(name: String!, uniqueKey: [String!], sqlJoins: [String!]) on FIELD_DEFINITION
+directive @junctionBatch(thisKey: [String!]!, parentKey: [String!]!, sqlJoin: String!, keyType: String) on FIELD_DEFINITION
+directive @where(fn: String!) on FIELD_DEFINITION
+directive @orderBy(columns: [String!]!, direction: String = "ASC") on FIELD_DEFINITION
+directive @sortKey(key: [String!]!, order: String!) on FIELD_DEFINITION
+directive @sqlPaginate on FIELD_DEFINITION
+directive @sqlFilter(arg: String!) on FIELD_DEFINITION
+directive @estimatedRows(rows: Int!) on FIELD_DEFINITION
+directive @jmIgnoreAll on FIELD_DEFINITION
+directive @jmIgnoreTable on FIELD_DEFINITION
+`
+
+// each directive turns into the same properties that would be on the type config in a code-first schema.
+// the arguments named "fn" or "sqlJoin(s)" refer to functions in the registry
+const typeDirectives = {
+  sqlTable: ({ name, uniqueKey, alwaysFetch }) => ({
+    sqlTable: name,
+    ...uniqueKey && { uniqueKey: unwrap(uniqueKey) },
+    ...alwaysFetch && { alwaysFetch: wrap(alwaysFetch) }
+  }),
+  sqlGroupBy: ({ keys }) => ({ sqlGroupBy: unwrap(keys) })
+}
+
+const fieldDirectives = {
+  sqlColumn: ({ name }) => ({ sqlColumn: name }),
+  sqlDeps: ({ names }) => ({ sqlDeps: wrap(names) }),
+  sqlExpr: ({ fn }, lookup) => ({ sqlExpr: lookup(fn) }),
+  sqlAggregate: ({ fn, column }) => ({ sqlAggregate: { fn, column } }),
+  sqlJoin: ({ fn }, lookup) => ({ sqlJoin: lookup(fn) }),
+  sqlBatch: ({ thisKey, parentKey, keyType }) => ({
+    sqlBatch: { thisKey: unwrap(thisKey), parentKey: unwrap(parentKey), ...keyType && { keyType } }
+  }),
+  sqlRelation: ({ thisKey, parentKey, ...relation }) => ({
+    sqlRelation: { ...relation, thisKey: unwrap(thisKey), parentKey: unwrap(parentKey) }
+  }),
+  junctionTable: ({ name, uniqueKey, sqlJoins }, lookup) => ({
+    junctionTable: name,
+    ...uniqueKey && { junctionTableKey: unwrap(uniqueKey) },
+    ...sqlJoins && { sqlJoins: wrap(sqlJoins).map(lookup) }
+  }),
+  junctionBatch: ({ thisKey, parentKey, sqlJoin, keyType }, lookup) => ({
+    junctionBatch: { thisKey: unwrap(thisKey), parentKey: unwrap(parentKey), sqlJoin: lookup(sqlJoin), ...keyType && { keyType } }
+  }),
+  where: ({ fn }, lookup) => ({ where: lookup(fn) }),
+  orderBy: ({ columns, direction = 'ASC' }) => ({ orderBy: fromPairs(wrap(columns).map(column => [ column, direction ])) }),
+  sortKey: ({ key, order }) => ({ sortKey: { key: unwrap(key), order } }),
+  sqlPaginate: () => ({ sqlPaginate: true }),
+  sqlFilter: ({ arg }) => ({ sqlFilter: arg }),
+  estimatedRows: ({ rows }) => ({ estimatedRows: rows }),
+  jmIgnoreAll: () => ({ jmIgnoreAll: true }),
+  jmIgnoreTable: () => ({ jmIgnoreTable: true })
+}
+
+// walk the types and fields of a schema built from SDL and copy the metadata from their directives onto them
+export function applyDirectives(schema, registry = {}) {
+  const typeMap = schema.getTypeMap()
+  for (let typeName in typeMap) {
+    const type = typeMap[typeName]
+    if (/^__/.test(typeName) || !type.astNode || !type._typeConfig) continue
+
+    Object.assign(type._typeConfig, directivesToConfig(type.astNode, typeDirectives, registry, typeName))
+
+    if (typeof type.getFields === 'function' && type.constructor.name !== 'GraphQLInputObjectType') {
+      const fields = type.getFields()
+      for (let fieldName in fields) {
+        const field = fields[fieldName]
+        if (!field.astNode) continue
+        Object.assign(field, directivesToConfig(field.astNode, fieldDirectives, registry, `${typeName}.${fieldName}`))
+      }
+    }
+  }
+  return schema
+}
+
+function directivesToConfig(astNode, handlers, registry, location) {
+  const config = {}
+  for (let directive of astNode.directives || []) {
+    const name = directive.name.value
+    // directives that aren't ours are left alone
+    if (!handlers[name]) continue
+    const args = fromPairs(directive.arguments.map(arg => [ arg.name.value, literalValue(arg.value) ]))
+    const lookup = fnName => {
+      if (typeof registry[fnName] !== 'function') {
+        throw new Error(`The @${name} directive on ${location} refers to "${fnName}", which is not a function in the registry.`)
+      }
+      return registry[fnName]
+    }
+    Object.assign(config, handlers[name](args, lookup))
+  }
+  return config
+}
+
+// there are no variables in the SDL, so the values can be read straight from the AST
+function literalValue(node) {
+  switch (node.kind) {
+  case 'IntValue':
+    return parseInt(node.value, 10)
+  case 'FloatValue':
+    return parseFloat(node.value)
+  case 'StringValue':
+  case 'EnumValue':
+  case 'BooleanValue':
+    return node.value
+  case 'NullValue':
+    return null
+  case 'ListValue':
+    return node.values.map(literalValue)
+  case 'ObjectValue':
+    return fromPairs(node.fields.map(field => [ field.name.value, literalValue(field.value) ]))
+  default:
+    throw new Error('Unexpected value in a directive: ' + node.kind)
+  }
+}
+
+// a list with one key means a single column. GraphQL also allows a single value where a list is expected
+function unwrap(value) {
+  return Array.isArray(value) && value.length === 1 ? value[0] : value
+}
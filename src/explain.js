@@ -0,0 +1,72 @@
+import { queryASTToSqlAST } from './query-ast-to-sql-ast'
+import { estimateCost } from './query-budget'
+import { map } from 'lodash'
+import { compileSqlAST, wrap } from './util'
+
+// build the same SQL that joinMonster would send for each batch, without calling the database.
+// the batches after the first don't know the keys of their parents yet, so a placeholder goes where those values would be
+export default async function explain(resolveInfo, context, options = {}) {
+  // compiling fills in the default dialect on the options. don't touch theirs
+  options = { ...options }
+  const sqlAST = queryASTToSqlAST(resolveInfo, options, context)
+  const batches = []
+  await explainBatch(sqlAST, [ sqlAST.fieldName ], null, context, options, batches)
+  return {
+    cost: estimateCost(sqlAST),
+    batches
+  }
+}
+
+// same order that `nextBatch` goes in, each batch followed by the ones beneath it
+async function explainBatch(sqlAST, path, batchKeys, context, options, batches) {
+  let batchScope
+  if (batchKeys) {
+    // the batch planner adds the key for matching the rows up with their parents right before it compiles
+    sqlAST.children.push(...wrap(batchKeys.thisKey))
+    const placeholders = wrap(batchKeys.parentKey).map(key => ({ toSQL: () => `:${key.fieldName}` }))
+    batchScope = [ Array.isArray(batchKeys.parentKey) ? placeholders : placeholders[0] ]
+  }
+  const { sql, params, shapeDefinition } = await compileSqlAST(sqlAST, context, { ...options, batchScope })
+
+  const batch = {
+    path: path.join('.'),
+    fields: [],
+    sql,
+    params,
+    shapeDefinition: batchKeys ? wrap(shapeDefinition) : shapeDefinition
+  }
+  if (batchKeys) {
+    batch.thisKey = fieldNames(batchKeys.thisKey)
+    batch.parentKey = fieldNames(batchKeys.parentKey)
+  }
+  batches.push(batch)
+
+  const nextBatches = []
+  collectFields(sqlAST, path, batch.fields, nextBatches)
+  for (let { node, path } of nextBatches) {
+    await explainBatch(node, path, node.sqlBatch || node.junctionBatch, context, options, batches)
+  }
+}
+
+// a composite key has an array of them
+function fieldNames(key) {
+  return Array.isArray(key) ? map(key, 'fieldName') : key.fieldName
+}
+
+// find the fields this batch fetches, stopping at the ones that start another batch
+function collectFields(sqlAST, path, fields, nextBatches) {
+  fields.push(path.join('.'))
+  const children = [ ...sqlAST.children ]
+  for (let typeName in sqlAST.typedChildren || {}) {
+    children.push(...sqlAST.typedChildren[typeName])
+  }
+  for (let child of children) {
+    if (child.type !== 'table' && child.type !== 'union') continue
+    const childPath = [ ...path, child.fieldName ]
+    if (child.sqlBatch || child.junctionBatch) {
+      nextBatches.push({ node: child, path: childPath })
+    } else {
+      collectFields(child, childPath, fields, nextBatches)
+    }
+  }
+}
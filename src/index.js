@@ -4,7 +4,12 @@ import * as queryAST from './query-ast-to-sql-ast'
 import arrToConnection from './array-to-connection'
 import AliasNamespace from './alias-namespace'
 import nextBatch from './batch-planner'
-import { buildWhereFunction, handleUserDbCall, compileSqlAST } from './util'
+import { buildKeyFilter, handleUserDbCall, compileSqlAST, clearCache as clearCachedRows } from './util'
+import * as directives from './directives'
+import validate from './validate-schema'
+import wrapAliasResolvers from './resolve-aliases'
+import checkBudget from './query-budget'
+import planQuery from './explain'
 
 
 /*         _ _ _                _
@@ -24,7 +29,8 @@ import { buildWhereFunction, handleUserDbCall, compileSqlAST } from './util'
  * User-defined function that sends a raw SQL query to the databse.
  * @callback dbCall
  * @param {String} sql - The SQL generated by `joinMonster` for the batch fetching. Use it to get the data from your database.
- * @param {Function} [done] - An error-first "done" callback. Only define this parameter if you don't want to return a `Promise`.
+ * @param {Array} [params] - The values to bind to the placeholders in the SQL. Only passed when the `parameterize` option is set.
+ * @param {Function} [done] - An error-first "done" callback. Only define this parameter if you don't want to return a `Promise`. See the `callbackMode` option.
  * @returns {Promise.<Array>} The raw data as a flat array of objects. Each object must represent a row from the result set.
  */
 /**
@@ -72,17 +78,39 @@ import { buildWhereFunction, handleUserDbCall, compileSqlAST } from './util'
  * @param {dbCall} dbCall - A function that is passed the compiled SQL that calls the database and returns a promise of the data.
  * @param {Object} [options]
  * @param {Boolean} options.minify - Generate minimum-length column names in the results table.
- * @param {String} options.dialect - The dialect of SQL your Database uses. Currently `'pg'`, `'oracle'`, `'mariadb'`, `'mysql'`, and `'sqlite3'` are supported.
+ * @param {String} options.dialect - The dialect of SQL your Database uses. Currently `'pg'`, `'oracle'`, `'mssql'`, `'mariadb'`, `'mysql'`, and `'sqlite3'` are supported.
+ * @param {Boolean} options.parameterize - Use the dialect's placeholders for values in the SQL instead of inlining them. The values are passed to `dbCall` as the second argument.
+ * @param {Boolean} options.callbackMode - Whether `dbCall` takes an error-first "done" callback as its last argument instead of returning a promise. Without this option, it's a callback when `dbCall` declares one more parameter than it's passed, i.e. `(sql, done)`, or `(sql, params, done)` with `parameterize`.
+ * @param {Number} options.maxDepth - Reject queries that nest tables deeper than this, counting the table of the resolved field as 1.
+ * @param {Number} options.maxJoins - Reject queries that need more joins than this in any one SQL query.
+ * @param {Number} options.maxBatches - Reject queries that need more batches than this.
+ * @param {Number} options.maxEstimatedRows - Reject queries that are estimated to fetch more rows than this. Use the `estimatedRows` property on fields to improve the estimate.
+ * @param {Boolean|String} options.explain - Also send the dialect's `EXPLAIN` of each query through `dbCall` and pass the result to `onExplain`. Use `'analyze'` to run the queries with `EXPLAIN ANALYZE` where the dialect supports it.
+ * @param {Function} options.onExplain - Receives an object with the `fieldName` that started the query, its `sql` and `params`, the `statements` that explained it, and the `plan` rows from the database.
+ * @param {Function} options.onSqlAST - Receives the SQL AST before any SQL is generated.
+ * @param {Function} options.beforeQuery - Called with the SQL and the `meta` of each batch before it is sent to `dbCall`. The `meta` has the `path` of the field that starts the batch, its `depth` in batches from 0, the `parentKeyCount` it is fetching for, and the `params`.
+ * @param {Function} options.afterQuery - Called with the rows, the `meta`, and how many milliseconds `dbCall` took, after each batch.
+ * @param {Function} options.onHydrated - Called with the hydrated data and the `meta` of each batch.
+ * @param {Boolean} options.cache - Reuse the rows of identical queries for the same `context`, e.g. from two aliases of one field. Call `joinMonster.clearCache(context)` after changing the data.
+ * @param {Boolean|Function} options.combineBatches - Send the queries of the batches on one level together, the chunks of each batch included. With `true`, they're joined with semicolons and `dbCall` returns the result of each statement. A function gets an array of `{ sql, params }` and returns (a promise of) an array with the rows for each one. See [Combining Batches](/call-function/#combining-batches).
+ * @param {Number} options.batchesPerCall - With `combineBatches`, how many queries go in each combined call. The calls are made one after another. All the queries of a level go in one call by default.
+ * @param {Number} options.maxBatchSize - Split each batch into queries for no more than this many parent keys, e.g. for Oracle's limit of 1000 items in an `IN` list.
+ * @param {Number} options.batchConcurrency - How many of the queries for the chunks of one batch can run at once. All of them by default. With `combineBatches`, use `batchesPerCall` instead.
  * @returns {Promise.<Object>} The correctly nested data from the database.
  */
 async function joinMonster(resolveInfo, context, dbCall, options = {}) {
   // we need to read the query AST and build a new "SQL AST" from which the SQL and
   const sqlAST = queryAST.queryASTToSqlAST(resolveInfo, options, context)
-  const { sql, shapeDefinition } = await compileSqlAST(sqlAST, context, options)
+  if (options.onSqlAST) {
+    options.onSqlAST(sqlAST)
+  }
+  // refuse queries that are over the limits before doing any work for them
+  checkBudget(sqlAST, options)
+  const { sql, params, shapeDefinition } = await compileSqlAST(sqlAST, context, options)
   if (!sql) return {}
 
   // call their function for querying the DB, handle the different cases, do some validation, return a promise of the object
-  let data = await handleUserDbCall(dbCall, sql, sqlAST, shapeDefinition)
+  let data = await handleUserDbCall(dbCall, sql, params, sqlAST, shapeDefinition, context, options)
 
   // if they are paginating, we'll get back an array which is essentially a "slice" of the whole data.
   // this function goes through the data tree and converts the arrays to Connection Objects
@@ -125,8 +153,8 @@ async function getNode(typeName, resolveInfo, context, condition, dbCall, option
   assert(type, `Type "${typeName}" not found in your schema.`)
   assert(type._typeConfig.sqlTable, `joinMonster can't fetch a ${typeName} as a Node unless it has "sqlTable" tagged.`)
 
-  // we need to determine what the WHERE function should be
-  let where = buildWhereFunction(type, condition, options)
+  // the condition is either their own `where` function or the values of the unique key
+  const where = typeof condition === 'function' ? condition : null
 
   // our getGraphQLType expects every requested field to be in the schema definition. "node" isn't a parent of whatever type we're getting, so we'll just wrap that type in an object that LOOKS that same as a hypothetical Node type
   const fakeParentNode = {
@@ -142,10 +170,19 @@ async function getNode(typeName, resolveInfo, context, condition, dbCall, option
   const sqlAST = {}
   const fieldNodes = resolveInfo.fieldNodes || resolveInfo.fieldASTs
   // uses the same underlying function as the main `joinMonster`
-  queryAST.populateASTNode.call(resolveInfo, fieldNodes[0], fakeParentNode, sqlAST, namespace, 0, options)
+  queryAST.populateASTNode.call(resolveInfo, queryAST.mergeFieldNodes(fieldNodes), fakeParentNode, sqlAST, namespace, 0, options)
+  if (!where) {
+    sqlAST.filter = buildKeyFilter(type, condition)
+  }
+  queryAST.planRelations(sqlAST, namespace, options)
+  queryAST.planJsonAggregation(sqlAST, options)
   queryAST.pruneDuplicateSqlDeps(sqlAST, namespace)
-  const { sql, shapeDefinition } = await compileSqlAST(sqlAST, context, options)
-  const data = arrToConnection(await handleUserDbCall(dbCall, sql, sqlAST, shapeDefinition), sqlAST)
+  if (options.onSqlAST) {
+    options.onSqlAST(sqlAST)
+  }
+  checkBudget(sqlAST, options)
+  const { sql, params, shapeDefinition } = await compileSqlAST(sqlAST, context, options)
+  const data = arrToConnection(await handleUserDbCall(dbCall, sql, params, sqlAST, shapeDefinition, context, options), sqlAST)
   await nextBatch(sqlAST, data, dbCall, context, options)
   if (!data) return data
   data.__type__ = type
@@ -155,6 +192,71 @@ async function getNode(typeName, resolveInfo, context, condition, dbCall, option
 joinMonster.getNode = getNode
 
 
+/**
+ * Plans the query the same way as `joinMonster` without calling the database. Useful for tooling and tests.
+ * @param {Object} resolveInfo - Contains the parsed GraphQL query, schema definition, and more. Obtained from the fourth argument to the resolver.
+ * @param {Object} context - An arbitrary object that gets passed to the `where` function.
+ * @param {Object} [options] - Same as `joinMonster` function's options.
+ * @returns {Promise.<Object>} The plan. `batches` has each query in the order they would run, with its `sql`, `params`, the `fields` it fetches, and the `shapeDefinition` for hydrating the rows. The batches after the first have a `:key` placeholder instead of the parents' keys, and `parentKey` and `thisKey` say which columns match the rows to their parents. `cost` has the measurements used for the query budget.
+ */
+function explain(resolveInfo, context, options) {
+  return planQuery(resolveInfo, context, options)
+}
+
+joinMonster.explain = explain
+
+
+/**
+ * Forgets the rows cached with the `cache` option for a context. Call it after a mutation so the fields after it see the new data.
+ * @param {Object} context - The same context that was passed to `joinMonster`.
+ */
+function clearCache(context) {
+  clearCachedRows(context)
+}
+
+joinMonster.clearCache = clearCache
+
+
+/**
+ * Attaches the metadata from Join Monster's directives to a schema built from SDL, e.g. with `buildSchema`. Declare the directives by adding `joinMonster.directiveDefinitions` to the type definitions.
+ * @param {GraphQLSchema} schema - The schema built from the type definitions. It is changed in place.
+ * @param {Object} [registry] - The functions that directives like `@sqlJoin(fn: "postsOfUser")` and `@where(fn: "byId")` refer to, keyed by their names.
+ * @returns {GraphQLSchema} The same schema, ready for `joinMonster` to be called in its resolvers.
+ */
+function applyDirectives(schema, registry) {
+  return directives.applyDirectives(schema, registry)
+}
+
+joinMonster.applyDirectives = applyDirectives
+joinMonster.directiveDefinitions = directives.directiveDefinitions
+
+
+/**
+ * Checks the Join Monster metadata on every type and field of a schema, e.g. when the server starts. Mistakes that would otherwise only surface when a query reaches them are reported all at once.
+ * @param {GraphQLSchema} schema - The schema to check.
+ * @param {Object} [options]
+ * @param {String} options.dialect - The dialect that will be passed to `joinMonster`, to check that it supports the pagination in the schema. Defaults to `'sqlite3'`.
+ * @throws {Error} Lists each problem with the path to its type or field. The problems are also on the `problems` property as `{ path, message }` objects.
+ */
+function validateSchema(schema, options) {
+  validate(schema, options)
+}
+
+joinMonster.validateSchema = validateSchema
+
+
+/**
+ * Lets the fields that fetch tables be requested several times under different aliases, e.g. with different arguments. Their resolvers are wrapped so each alias finds its own data under the field name, as usual. Call it once when setting up the schema.
+ * @param {GraphQLSchema} schema - The schema with the Join Monster metadata. It is changed in place.
+ * @returns {GraphQLSchema} The same schema.
+ */
+function resolveAliases(schema) {
+  return wrapAliasResolvers(schema)
+}
+
+joinMonster.resolveAliases = resolveAliases
+
+
 
 // expose the package version for debugging
 joinMonster.version = require('../package.json').version
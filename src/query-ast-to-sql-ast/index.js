@@ -1,8 +1,10 @@
 import assert from 'assert'
 import { flatMap } from 'lodash'
 import AliasNamespace from '../alias-namespace'
+import { dataKeyOf, resolvesAliases } from '../resolve-aliases'
 import { wrap } from '../util'
 import deprecate from 'deprecate'
+import { GraphQLSkipDirective, GraphQLIncludeDirective, GraphQLBoolean, valueFromAST } from 'graphql'
 import { getArgumentValues } from 'graphql/execution/values'
 
 const TABLE_TYPES = [ 'GraphQLObjectType', 'GraphQLUnionType', 'GraphQLInterfaceType' ]
@@ -18,10 +20,9 @@ export function queryASTToSqlAST(resolveInfo, options, context) {
 
   // v0.8 changed the "fieldASTs" property to "fieldNodes". we want to support both
   const fieldNodes = resolveInfo.fieldNodes || resolveInfo.fieldASTs
-  assert.equal(fieldNodes.length, 1, 'We thought this would always have a length of 1. FIX ME!!')
 
   // this represents the parsed query
-  const queryAST = fieldNodes[0]
+  const queryAST = mergeFieldNodes(fieldNodes)
   // resolveInfo.parentType is from the schema, its the GraphQLObjectType that is parent to the current field
   // this allows us to get the field definition of the current field so we can grab that extra metadata
   // e.g. sqlColumn or sqlJoin, etc.
@@ -31,12 +32,30 @@ export function queryASTToSqlAST(resolveInfo, options, context) {
   // make sure they started this party on a table
   assert.equal(sqlAST.type, 'table', 'Must call joinMonster in a resolver on a field where the type is decorated with "sqlTable".')
 
+  // the relations declared by their keys can be joined or batched now that the whole query is known
+  planRelations(sqlAST, namespace, options)
+  planJsonAggregation(sqlAST, options)
+
   // make sure each "sqlDep" is only specified once at each level. also assign it an alias
   pruneDuplicateSqlDeps(sqlAST, namespace)
 
   return sqlAST
 }
 
+// the same field can be requested more than once, e.g. `user { id } user { name }` or in several fragments.
+// GraphQL gives us each of them, and they all have the same arguments. fetch the selections from all of them
+export function mergeFieldNodes(fieldNodes) {
+  if (fieldNodes.length === 1) return fieldNodes[0]
+  const withSelections = fieldNodes.filter(fieldNode => fieldNode.selectionSet)
+  return {
+    ...fieldNodes[0],
+    selectionSet: withSelections.length ? {
+      ...withSelections[0].selectionSet,
+      selections: flatMap(withSelections, fieldNode => fieldNode.selectionSet.selections)
+    } : fieldNodes[0].selectionSet
+  }
+}
+
 export function populateASTNode(queryASTNode, parentTypeNode, sqlASTNode, namespace, depth, options, context) {
   // first, get the name of the field being queried
   const fieldName = queryASTNode.name.value
@@ -65,6 +84,8 @@ export function populateASTNode(queryASTNode, parentTypeNode, sqlASTNode, namesp
   let gqlType = stripNonNullType(field.type)
 
   sqlASTNode.args = getArgumentValues(field, queryASTNode, this.variableValues)
+  // the same table can be requested under several aliases with different arguments, so each alias needs its own key in the data
+  const dataKey = depth >= 1 ? selectionDataKey(this.schema, parentTypeNode, queryASTNode, field.name) : dataKeyOf(queryASTNode, field.name)
 
   // if list then mark flag true & get the type inside the GraphQLList container type
   if (gqlType.constructor.name === 'GraphQLList') {
@@ -75,8 +96,16 @@ export function populateASTNode(queryASTNode, parentTypeNode, sqlASTNode, namesp
   // if its a relay connection, there are several things we need to do
   if (gqlType.constructor.name === 'GraphQLObjectType' && gqlType._fields.edges && gqlType._fields.pageInfo) {
     grabMany = true
+    // the aggregates are requested on the connection itself, so find them before it gets stripped away.
+    // they need a connection to go on, so it's made here even without pagination
+    if (field.sqlAggregates) {
+      sqlASTNode.connection = true
+      const requested = spreadFragments(queryASTNode.selectionSet.selections, this.fragments, gqlType.name, this.variableValues)
+        .map(selection => selection.name.value)
+      handleAggregates(sqlASTNode, field, dataKey, namespace, requested)
+    }
     // grab the types and fields inside the connection
-    const stripped = stripRelayConnection(gqlType, queryASTNode, this.fragments)
+    const stripped = stripRelayConnection(gqlType, queryASTNode, this.fragments, this.variableValues)
     // reassign those
     gqlType = stripped.gqlType
     queryASTNode = stripped.queryASTNode
@@ -89,6 +118,8 @@ export function populateASTNode(queryASTNode, parentTypeNode, sqlASTNode, namesp
     if (field.sqlPaginate) {
       throw new Error(`To paginate the ${gqlType.name} type, it must be a GraphQLObjectType that fulfills the relay spec. The type must have a "pageInfo" and "edges" field. https://facebook.github.io/relay/graphql/connections.htm`)
     }
+    // the aggregates go on the connection object. a plain list has nowhere to put them
+    assert(!field.sqlAggregates, `"sqlAggregates" can only be used on a connection. Check the "${fieldName}" field on the "${parentTypeNode.name}" type.`)
   }
   // the typeConfig has all the keyes from the GraphQLObjectType definition
   const config = gqlType._typeConfig
@@ -101,9 +132,13 @@ export function populateASTNode(queryASTNode, parentTypeNode, sqlASTNode, namesp
     && config.sqlTable
   ) {
     if (depth >= 1) {
-      assert(field.sqlJoin || field.sqlBatch || field.junctionTable, `If an Object type maps to a SQL table and has a child which is another Object type that also maps to a SQL table, you must define "sqlJoin", "sqlBatch", or "junctionTable" on that field to tell joinMonster how to fetch it. Or you can ignore it with "jmIgnoreTable". Check the "${fieldName}" field on the "${parentTypeNode.name}" type.`)
+      assert(field.sqlJoin || field.sqlBatch || field.junctionTable || field.sqlRelation, `If an Object type maps to a SQL table and has a child which is another Object type that also maps to a SQL table, you must define "sqlJoin", "sqlBatch", "sqlRelation", or "junctionTable" on that field to tell joinMonster how to fetch it. Or you can ignore it with "jmIgnoreTable". Check the "${fieldName}" field on the "${parentTypeNode.name}" type.`)
+    }
+    sqlASTNode.fieldName = dataKey
+    if (dataKey !== field.name) {
+      sqlASTNode.aliasOf = field.name
     }
-    handleTable.call(this, sqlASTNode, queryASTNode, field, gqlType, namespace, grabMany, depth, options, context)
+    handleTable.call(this, sqlASTNode, queryASTNode, field, parentTypeNode, gqlType, namespace, grabMany, depth, options, context)
   // is this a computed column from a raw expression?
   } else if (field.sqlExpr) {
     sqlASTNode.type = 'expression'
@@ -114,7 +149,7 @@ export function populateASTNode(queryASTNode, parentTypeNode, sqlASTNode, namesp
     }
     sqlASTNode.as = namespace.generate('column', aliasFrom)
   // is it just a column? if they specified a sqlColumn or they didn't define a resolver, yeah
-  } else if (field.sqlColumn || !field.resolve) {
+  } else if (field.sqlColumn || field.sqlAggregate || !field.resolve) {
     sqlASTNode.type = 'column'
     sqlASTNode.name = field.sqlColumn || field.name
     let aliasFrom = sqlASTNode.fieldName = field.name
@@ -132,7 +167,7 @@ export function populateASTNode(queryASTNode, parentTypeNode, sqlASTNode, namesp
   }
 }
 
-function handleTable(sqlASTNode, queryASTNode, field, gqlType, namespace, grabMany, depth, options, context) {
+function handleTable(sqlASTNode, queryASTNode, field, parentTypeNode, gqlType, namespace, grabMany, depth, options, context) {
   const config = gqlType._typeConfig
 
   sqlASTNode.type = 'table'
@@ -141,6 +176,9 @@ function handleTable(sqlASTNode, queryASTNode, field, gqlType, namespace, grabMa
     sqlTable = sqlTable(sqlASTNode.args || {}, context)
   }
   sqlASTNode.name = sqlTable
+  if (config.sqlGroupBy) {
+    handleGroupBy(sqlASTNode, gqlType, sqlTable)
+  }
 
   // the graphQL field name will be the default alias for the table
   // if thats taken, this function will just add an underscore to the end to make it unique
@@ -153,13 +191,23 @@ function handleTable(sqlASTNode, queryASTNode, field, gqlType, namespace, grabMa
   // tables have child fields, lets push them to an array
   const children = sqlASTNode.children = sqlASTNode.children || []
 
-  sqlASTNode.fieldName = field.name
   sqlASTNode.grabMany = grabMany
 
+  // a hint for the query budget of how many rows this field fetches for each parent
+  if (field.estimatedRows != null) {
+    sqlASTNode.estimatedRows = typeof field.estimatedRows === 'function' ?
+      field.estimatedRows(sqlASTNode.args || {}, context) :
+      field.estimatedRows
+  }
+
   if (field.where) {
     sqlASTNode.where = field.where
   }
 
+  if (field.sqlFilter) {
+    handleFilter(sqlASTNode, field, gqlType, context)
+  }
+
   /*
    * figure out if they are doing one-to-many/many-to-many or join/batch
    * and collect the relevant info
@@ -170,7 +218,7 @@ function handleTable(sqlASTNode, queryASTNode, field, gqlType, namespace, grabMa
     sqlASTNode.sqlJoin = field.sqlJoin
   // or a many-to-many?
   } else if (field.junctionTable || field.joinTable) {
-    assert(field.sqlJoins || field.junctionBatch, 'Must define `sqlJoins` (plural) or `junctionBatch` for a many-to-many.')
+    assert(field.sqlJoins || field.junctionBatch || field.sqlRelation, 'Must define `sqlJoins` (plural), `junctionBatch`, or `sqlRelation` for a many-to-many.')
     if (field.joinTable) {
       deprecate('The `joinTable` is deprecated. Rename to `junctionTable`.')
     }
@@ -181,6 +229,9 @@ function handleTable(sqlASTNode, queryASTNode, field, gqlType, namespace, grabMa
     // are they joining or batching?
     if (field.sqlJoins) {
       sqlASTNode.sqlJoins = field.sqlJoins
+    } else if (field.sqlRelation) {
+      sqlASTNode.relation = field.sqlRelation
+      sqlASTNode.junctionTableKey = field.junctionTableKey
     } else {
       children.push({
         ...keyToASTChild(field.junctionTableKey, namespace),
@@ -188,18 +239,22 @@ function handleTable(sqlASTNode, queryASTNode, field, gqlType, namespace, grabMa
       })
       sqlASTNode.junctionBatch = {
         sqlJoin: field.junctionBatch.sqlJoin,
-        thisKey: {
-          ...columnToASTChild(field.junctionBatch.thisKey, namespace),
-          fromOtherTable: sqlASTNode.junctionTableAs
-        },
-        parentKey: columnToASTChild(field.junctionBatch.parentKey, namespace)
+        ...batchKeysToAST(field.junctionBatch, sqlASTNode, namespace)
       }
     }
   // or are they doing a one-to-many with batching
   } else if (field.sqlBatch) {
-    sqlASTNode.sqlBatch = {
-      thisKey: columnToASTChild(field.sqlBatch.thisKey, namespace),
-      parentKey: columnToASTChild(field.sqlBatch.parentKey, namespace)
+    sqlASTNode.sqlBatch = batchKeysToAST(field.sqlBatch, sqlASTNode, namespace)
+  // or did they only say which keys relate the tables? then we'll decide later
+  } else if (field.sqlRelation) {
+    sqlASTNode.relation = field.sqlRelation
+  }
+
+  // the aggregates are computed in correlated subqueries, which need their own aliases for the tables
+  if (sqlASTNode.aggregates) {
+    sqlASTNode.aggregateAs = namespace.generate('table', field.name)
+    if (sqlASTNode.junctionTable) {
+      sqlASTNode.aggregateJunctionAs = namespace.generate('table', sqlASTNode.junctionTable)
     }
   }
 
@@ -210,10 +265,14 @@ function handleTable(sqlASTNode, queryASTNode, field, gqlType, namespace, grabMa
 
   // the NestHydrationJS library only treats the first column as the unique identifier, therefore we
   // need whichever column that the schema specifies as the unique one to be the first child
-  if (!config.uniqueKey) {
+  // the groups are unique by the keys they're grouped by
+  const uniqueKey = config.uniqueKey || config.sqlGroupBy
+  if (!uniqueKey) {
     throw new Error(`You must specify the "uniqueKey" on the GraphQLObjectType definition of ${sqlTable}`)
   }
-  children.push(keyToASTChild(config.uniqueKey, namespace))
+  children.push(keyToASTChild(uniqueKey, namespace))
+  // the dialects without LATERAL joins need it to tell apart the pages of each parent
+  sqlASTNode.uniqueKey = uniqueKey
 
   if (config.alwaysFetch) {
     for (let column of wrap(config.alwaysFetch)) {
@@ -238,6 +297,7 @@ function handleTable(sqlASTNode, queryASTNode, field, gqlType, namespace, grabMa
       // union types have special rules for the child fields in join monster
       sqlASTNode.type = 'union'
       sqlASTNode.typedChildren = {}
+      sqlASTNode.resolveType = typeNameResolver(gqlType, fieldResolveInfo(this, queryASTNode, field, parentTypeNode))
       handleUnionSelections.call(this, sqlASTNode, children, queryASTNode.selectionSet.selections, gqlType, namespace, depth, options, context)
     } else {
       handleSelections.call(this, sqlASTNode, children, queryASTNode.selectionSet.selections, gqlType, namespace, depth, options, context)
@@ -245,14 +305,48 @@ function handleTable(sqlASTNode, queryASTNode, field, gqlType, namespace, grabMa
   }
 }
 
+// the info GraphQL passes when it resolves the type of this field's objects. the "path" is still the one of the field
+// that called joinMonster, since these are resolved for all the objects at once
+function fieldResolveInfo(resolveInfo, queryASTNode, field, parentTypeNode) {
+  return {
+    ...resolveInfo,
+    fieldName: queryASTNode.name.value,
+    // v0.8 changed the "fieldASTs" property to "fieldNodes"
+    ...resolveInfo.fieldNodes ? { fieldNodes: [ queryASTNode ] } : { fieldASTs: [ queryASTNode ] },
+    returnType: field.type,
+    parentType: parentTypeNode
+  }
+}
+
+// the batches on the fields of the member types only go to the objects of that type.
+// those are found the same way GraphQL finds them, with "resolveType", or else "isTypeOf" on each of the types
+function typeNameResolver(gqlType, resolveInfo) {
+  return async (obj, context) => {
+    let type
+    if (gqlType.resolveType) {
+      type = await gqlType.resolveType(obj, context, resolveInfo)
+    } else {
+      for (let possibleType of resolveInfo.schema.getPossibleTypes(gqlType)) {
+        if (possibleType.isTypeOf && await possibleType.isTypeOf(obj, context, resolveInfo)) {
+          type = possibleType
+          break
+        }
+      }
+    }
+    return typeof type === 'string' ? type : type && type.name
+  }
+}
+
 // we need to collect all fields from all the fragments requested in the union type and ask for them in SQL
 function handleUnionSelections(sqlASTNode, children, selections, gqlType, namespace, depth, options, context, internalOptions = {}) {
   for (let selection of selections) {
+    // the fields left out with @skip or @include don't need anything from the database
+    if (!shouldIncludeSelection(selection, this.variableValues)) continue
     // we need to figure out what kind of selection this is
     switch (selection.kind) {
     case 'Field':
       // has this field been requested once already? GraphQL does not protect against duplicates so we have to check for it
-      const existingNode = children.find(child => child.fieldName === selection.name.value && child.type === 'table')
+      const existingNode = children.find(child => child.fieldName === selectionDataKey(this.schema, gqlType, selection) && child.type === 'table')
       let newNode = {}
       if (existingNode) {
         newNode = existingNode
@@ -308,12 +402,14 @@ function handleUnionSelections(sqlASTNode, children, selections, gqlType, namesp
 // the selections could be several types, recursively handle each type here
 function handleSelections(sqlASTNode, children, selections, gqlType, namespace, depth, options, context, internalOptions = {}) {
   for (let selection of selections) {
+    // the fields left out with @skip or @include don't need anything from the database
+    if (!shouldIncludeSelection(selection, this.variableValues)) continue
     // we need to figure out what kind of selection this is
     switch (selection.kind) {
     // if its another field, recurse through that
     case 'Field':
       // has this field been requested once already? GraphQL does not protect against duplicates so we have to check for it
-      const existingNode = children.find(child => child.fieldName === selection.name.value && child.type === 'table')
+      const existingNode = children.find(child => child.fieldName === selectionDataKey(this.schema, gqlType, selection) && child.type === 'table')
       let newNode = {}
       if (existingNode) {
         newNode = existingNode
@@ -369,6 +465,26 @@ function columnToASTChild(columnName, namespace) {
   }
 }
 
+// the keys that match the rows of a batch up with their parents. each is a column, or an array of them for a composite key
+function batchKeysToAST(batch, sqlASTNode, namespace) {
+  const { thisKey, parentKey, keyType } = batch
+  const fieldName = sqlASTNode.aliasOf || sqlASTNode.fieldName
+  if (Array.isArray(thisKey) || Array.isArray(parentKey)) {
+    assert(wrap(thisKey).length === wrap(parentKey).length, `The "thisKey" and "parentKey" must have the same number of columns. Check the "${fieldName}" field.`)
+    assert(!sqlASTNode.paginate, `A batch with a composite key can't be paginated. Check the "${fieldName}" field.`)
+    assert(!keyType, `The "keyType" can only be used with a key of one column. Check the "${fieldName}" field.`)
+  }
+  // with a many-to-many, the rows of the batch are matched by the key on the junction table
+  const toASTChild = column => sqlASTNode.junctionTable ?
+    { ...columnToASTChild(column, namespace), fromOtherTable: sqlASTNode.junctionTableAs } :
+    columnToASTChild(column, namespace)
+  return {
+    thisKey: Array.isArray(thisKey) ? thisKey.map(toASTChild) : toASTChild(thisKey),
+    parentKey: Array.isArray(parentKey) ? parentKey.map(column => columnToASTChild(column, namespace)) : columnToASTChild(parentKey, namespace),
+    keyType
+  }
+}
+
 // generate a name for a composite key based on the individual column names smashed together
 // slice them to help prevent exceeding oracle's 30-char identifier limit
 function toClumsyName(keyArr) {
@@ -431,16 +547,16 @@ function handleColumnsRequiredForPagination(sqlASTNode, namespace) {
 }
 
 // if its a connection type, we need to look up the Node type inside their to find the relevant SQL info
-function stripRelayConnection(gqlType, queryASTNode, fragments) {
+function stripRelayConnection(gqlType, queryASTNode, fragments, variableValues) {
   // get the GraphQL Type inside the list of edges inside the Node from the schema definition
   const strippedType = gqlType._fields.edges.type.ofType._fields.node.type
   // let's remember those arguments on the connection
   const args = queryASTNode.arguments
   // and then find the fields being selected on the underlying type, also buried within edges and Node
-  const edges = spreadFragments(queryASTNode.selectionSet.selections, fragments, gqlType.name)
+  const edges = spreadFragments(queryASTNode.selectionSet.selections, fragments, gqlType.name, variableValues)
     .find(selection => selection.name.value === 'edges')
   if (edges) {
-    queryASTNode = spreadFragments(edges.selectionSet.selections, fragments, gqlType.name)
+    queryASTNode = spreadFragments(edges.selectionSet.selections, fragments, gqlType.name, variableValues)
       .find(selection => selection.name.value === 'node') || {}
   } else {
     queryASTNode = {}
@@ -495,6 +611,127 @@ export function pruneDuplicateSqlDeps(sqlAST, namespace) {
 }
 
 
+// the most tables that are joined in one query before the rest are batched, counting the table that starts the query
+const MAX_JOINED_DEPTH = 3
+// more rows than this for each parent are batched so the parent's columns aren't repeated on each one
+const MAX_JOINED_ROWS = 100
+
+// choose to join or batch each relation that was declared with "sqlRelation". one-to-one relations are joined
+// until the query gets too deep. a one-to-many is joined only if it is the first one in its query, it isn't
+// paginated, and it isn't expected to have too many rows. otherwise it is batched into a query of its own
+export function planRelations(sqlAST, namespace, options) {
+  planChildren(sqlAST, 1, { oneToManyJoins: 0 }, namespace, options)
+}
+
+function planChildren(sqlASTNode, depth, query, namespace, options) {
+  for (let child of sqlASTNode.children || []) {
+    if (child.type !== 'table' && child.type !== 'union') continue
+    if (child.relation) {
+      if (shouldBatch(child, depth + 1, query, options)) {
+        batchRelation(child, namespace, options)
+      } else {
+        joinRelation(child, options)
+      }
+    }
+
+    // a batch starts a new query. anything else is joined into this one
+    if (child.sqlBatch || child.junctionBatch) {
+      planChildren(child, 1, { oneToManyJoins: 0 }, namespace, options)
+    } else {
+      if (child.grabMany && !aggregatesToJson(child, options)) query.oneToManyJoins++
+      planChildren(child, depth + 1, query, namespace, options)
+    }
+  }
+  for (let typeName in sqlASTNode.typedChildren || {}) {
+    planChildren({ children: sqlASTNode.typedChildren[typeName] }, depth, query, namespace, options)
+  }
+}
+
+function shouldBatch(sqlASTNode, depth, query, options) {
+  // batching a many-to-many needs a unique key for the junction table
+  if (sqlASTNode.junctionTable && !sqlASTNode.junctionTableKey) return false
+  // the pages can't be batched on a composite key
+  if (sqlASTNode.paginate && Array.isArray(sqlASTNode.relation.thisKey)) return false
+  if (depth > MAX_JOINED_DEPTH) return true
+  if (!sqlASTNode.grabMany) return false
+  return sqlASTNode.paginate ||
+    (query.oneToManyJoins > 0 && !aggregatesToJson(sqlASTNode, options)) ||
+    sqlASTNode.estimatedRows > MAX_JOINED_ROWS
+}
+
+// with the "jsonAggregation" option, each joined list is selected as a JSON array in a subquery on its parent's row.
+// unlike a LEFT JOIN, that doesn't multiply the rows of the parent by the rows of each of its lists
+export function planJsonAggregation(sqlAST, options) {
+  if (!options.jsonAggregation) return
+  const children = [ ...sqlAST.children || [] ]
+  for (let typeName in sqlAST.typedChildren || {}) {
+    children.push(...sqlAST.typedChildren[typeName])
+  }
+  for (let child of children) {
+    if (child.type !== 'table' && child.type !== 'union') continue
+    if ((child.sqlJoin || child.sqlJoins) && aggregatesToJson(child, options)) {
+      child.jsonAgg = true
+    }
+    planJsonAggregation(child, options)
+  }
+}
+
+// the pages and the aggregates need the joined rows, so those lists are still joined
+function aggregatesToJson(sqlASTNode, options) {
+  return Boolean(options.jsonAggregation) &&
+    sqlASTNode.type === 'table' &&
+    sqlASTNode.grabMany &&
+    !sqlASTNode.paginate &&
+    !sqlASTNode.aggregates
+}
+
+function joinRelation(sqlASTNode, options) {
+  const { thisKey, parentKey, junctionKey, childKey } = sqlASTNode.relation
+  const q = dialectQuote(options)
+  const condition = (fromTable, fromKey, toTable, toKey) => keyCondition(fromTable, fromKey, toTable, toKey, q)
+  // a "where" on a joined table would filter out the parents too. it goes in the join condition to match what batching does
+  sqlASTNode.whereInJoin = true
+
+  if (sqlASTNode.junctionTable) {
+    sqlASTNode.sqlJoins = [
+      (parentTable, junctionTable) => condition(parentTable, parentKey, junctionTable, thisKey),
+      (junctionTable, childTable) => condition(junctionTable, junctionKey, childTable, childKey)
+    ]
+  } else {
+    sqlASTNode.sqlJoin = (parentTable, childTable) => condition(parentTable, parentKey, childTable, thisKey)
+  }
+}
+
+function batchRelation(sqlASTNode, namespace, options) {
+  const { junctionKey, childKey } = sqlASTNode.relation
+  if (sqlASTNode.junctionTable) {
+    const q = dialectQuote(options)
+    // the rows are from the junction table, so its key has to be the first child
+    sqlASTNode.children.unshift({
+      ...keyToASTChild(sqlASTNode.junctionTableKey, namespace),
+      fromOtherTable: sqlASTNode.junctionTableAs
+    })
+    sqlASTNode.junctionBatch = {
+      sqlJoin: (junctionTable, childTable) => keyCondition(junctionTable, junctionKey, childTable, childKey, q),
+      ...batchKeysToAST(sqlASTNode.relation, sqlASTNode, namespace)
+    }
+  } else {
+    sqlASTNode.sqlBatch = batchKeysToAST(sqlASTNode.relation, sqlASTNode, namespace)
+  }
+}
+
+// the keys can be composite, so each column is matched with the one at the same position
+function keyCondition(fromTable, fromKey, toTable, toKey, q) {
+  toKey = wrap(toKey)
+  return wrap(fromKey).map((key, i) => `${fromTable}.${q(key)} = ${toTable}.${q(toKey[i])}`).join(' AND ')
+}
+
+function dialectQuote(options) {
+  const dialect = !options.dialect || options.dialect === 'standard' ? 'sqlite3' : options.dialect
+  return require('../stringifiers/dialects/' + dialect).quote
+}
+
+
 function getSortColumns(field, sqlASTNode, context) {
   if (field.sortKey) {
     if (typeof field.sortKey === 'function') {
@@ -517,19 +754,135 @@ function handleOrderBy(sqlASTNode, field, context) {
   }
 }
 
+export const AGGREGATE_FUNCTIONS = [ 'count', 'sum', 'min', 'max', 'avg' ]
+
+// pick out the "sqlAggregates" that were requested
+function handleAggregates(sqlASTNode, field, dataKey, namespace, requested) {
+  const aggregates = []
+  for (let name in field.sqlAggregates) {
+    if (!requested.includes(name)) continue
+    const { fn, column } = field.sqlAggregates[name]
+    checkAggregate(fn, column, `the "${name}" aggregate on the "${field.name}" field`)
+    // the values get hydrated onto the rows under this name until they're moved to the connection, so it must not
+    // collide with the other fields
+    const fieldName = `$agg_${dataKey}_${name}`
+    aggregates.push({ name, fn, column, fieldName, as: namespace.generate('column', fieldName) })
+  }
+  if (aggregates.length) {
+    sqlASTNode.aggregates = aggregates
+  }
+}
+
+// a type with "sqlGroupBy" is still a table, but its rows are the groups of the rows in its "sqlTable"
+function handleGroupBy(sqlASTNode, gqlType, sqlTable) {
+  const aggregates = []
+  for (let name in gqlType._fields) {
+    const field = gqlType._fields[name]
+    if (field.sqlAggregate) {
+      const { fn, column } = field.sqlAggregate
+      checkAggregate(fn, column, `the "${name}" field on the ${gqlType.name} type`)
+      aggregates.push({ name, fn, column })
+    }
+  }
+  sqlASTNode.groupBy = {
+    table: sqlTable,
+    keys: wrap(gqlType._typeConfig.sqlGroupBy),
+    aggregates
+  }
+}
+
+function checkAggregate(fn, column, description) {
+  if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+    throw new Error(`Unknown aggregate function "${fn}" for ${description}. Valid functions are ${AGGREGATE_FUNCTIONS.join(', ')}.`)
+  }
+  if (fn !== 'count' && !column) {
+    throw new Error(`The aggregate for ${description} must have a "column" for "${fn}".`)
+  }
+}
+
+const FILTER_OPERATORS = [ 'eq', 'ne', 'in', 'lt', 'gt', 'like', 'isNull' ]
+const NULLABLE_OPERATORS = [ 'eq', 'ne' ]
+
+// get the filter object from the arguments. the SQL is generated later by the stringifier, since it depends on the dialect
+function handleFilter(sqlASTNode, field, gqlType, context) {
+  let filter
+  if (typeof field.sqlFilter === 'function') {
+    filter = field.sqlFilter(sqlASTNode.args || {}, context)
+  } else {
+    filter = (sqlASTNode.args || {})[field.sqlFilter]
+  }
+  if (filter) {
+    sqlASTNode.filter = filterToConditions(filter, gqlType)
+  }
+}
+
+// the filter refers to the GraphQL field names. turn it into a list of conditions on the SQL columns.
+// the conditions in each list are meant to be combined with AND
+function filterToConditions(filter, gqlType) {
+  const conditions = []
+  for (let key in filter) {
+    const value = filter[key]
+    if (value == null) continue
+    if (key === 'and' || key === 'or') {
+      conditions.push({
+        type: key,
+        conditions: wrap(value).map(subFilter => filterToConditions(subFilter, gqlType))
+      })
+    } else if (key === 'not') {
+      conditions.push({
+        type: 'not',
+        conditions: filterToConditions(value, gqlType)
+      })
+    } else {
+      const field = gqlType._fields && gqlType._fields[key]
+      if (!field || !isColumnField(field)) {
+        throw new Error(`Can not filter on "${key}". It must be a field on the ${gqlType.name} type that maps to a column.`)
+      }
+      for (let operator in value) {
+        if (!FILTER_OPERATORS.includes(operator)) {
+          throw new Error(`Unknown filter operator "${operator}" on "${key}". Valid operators are ${FILTER_OPERATORS.join(', ')}.`)
+        }
+        const operand = value[operator]
+        if (operator === 'isNull' && operand == null) continue
+        // only "eq" and "ne" know what to do with null. anything else would compare to NULL and never match
+        if (!NULLABLE_OPERATORS.includes(operator) && (operand == null || (operator === 'in' && operand.some(item => item == null)))) {
+          throw new Error(`Can not use null with the "${operator}" operator on "${key}". Use "eq", "ne" or "isNull" to match null.`)
+        }
+        conditions.push({
+          type: 'comparison',
+          column: field.sqlColumn || field.name,
+          operator,
+          value: operand
+        })
+      }
+    }
+  }
+  return conditions
+}
+
+// same rules as `populateASTNode` for whether a field is just a column
+function isColumnField(field) {
+  if (field.sqlColumn) return true
+  const type = stripNonNullType(field.type)
+  return !field.resolve && !field.sqlExpr && !field.sqlDeps && [ 'GraphQLScalarType', 'GraphQLEnumType' ].includes(type.constructor.name)
+}
+
 // instead of fields, selections can be fragments, which is another group of selections
 // fragments can be arbitrarily nested
 // this function recurses through and gets the relevant fields
-function spreadFragments(selections, fragments, typeName) {
+function spreadFragments(selections, fragments, typeName, variableValues) {
   return flatMap(selections, selection => {
+    if (!shouldIncludeSelection(selection, variableValues)) {
+      return []
+    }
     switch(selection.kind) {
     case 'FragmentSpread':
       const fragmentName = selection.name.value
       const fragment = fragments[fragmentName]
-      return spreadFragments(fragment.selectionSet.selections, fragments, typeName)
+      return spreadFragments(fragment.selectionSet.selections, fragments, typeName, variableValues)
     case 'InlineFragment':
       if (selection.typeCondition.name.value === typeName) {
-        return spreadFragments(selection.selectionSet.selections, fragments, typeName)
+        return spreadFragments(selection.selectionSet.selections, fragments, typeName, variableValues)
       } else {
         return []
       }
@@ -538,3 +891,24 @@ function spreadFragments(selections, fragments, typeName) {
     }
   })
 }
+
+// until the schema is set up with `joinMonster.resolveAliases`, the resolvers can't find the data of an alias.
+// the aliases of a field then share its data, like they always have
+function selectionDataKey(schema, parentType, selection, fieldName = selection.name.value) {
+  return resolvesAliases(schema, parentType, fieldName) ? dataKeyOf(selection, fieldName) : fieldName
+}
+
+// the same rules that GraphQL uses for the @skip and @include directives
+function shouldIncludeSelection(selection, variableValues) {
+  if (directiveCondition(GraphQLSkipDirective, selection, variableValues) === true) return false
+  if (directiveCondition(GraphQLIncludeDirective, selection, variableValues) === false) return false
+  return true
+}
+
+// graphql only exports getDirectiveValues since 0.9, so read the "if" argument off the AST ourselves
+function directiveCondition(directive, selection, variableValues) {
+  const directiveNode = (selection.directives || []).find(node => node.name.value === directive.name)
+  if (!directiveNode) return
+  const ifArg = directiveNode.arguments.find(arg => arg.name.value === 'if')
+  return ifArg && valueFromAST(ifArg.value, GraphQLBoolean, variableValues)
+}
@@ -0,0 +1,97 @@
+// lists without a hint or a page size are guessed to have this many rows per parent
+const DEFAULT_LIST_ROWS = 10
+
+const LIMITS = [ 'maxDepth', 'maxJoins', 'maxBatches', 'maxEstimatedRows' ]
+
+// measure how expensive the query would be before any SQL is generated, and refuse the ones over the limits in the options
+export default function checkBudget(sqlAST, options = {}) {
+  if (!LIMITS.some(limit => options[limit] != null)) return
+
+  const cost = estimateCost(sqlAST)
+  const problems = []
+  if (options.maxDepth != null && cost.depth > options.maxDepth) {
+    problems.push(`it nests ${cost.depth} tables deep at "${cost.deepestPath}", but "maxDepth" is ${options.maxDepth}`)
+  }
+  if (options.maxJoins != null && cost.joins > options.maxJoins) {
+    problems.push(`it needs ${plural(cost.joins, 'join', 'joins')} in one query at "${cost.mostJoinsPath}", but "maxJoins" is ${options.maxJoins}`)
+  }
+  if (options.maxBatches != null && cost.batches > options.maxBatches) {
+    problems.push(`it needs ${plural(cost.batches, 'batch', 'batches')}, but "maxBatches" is ${options.maxBatches}`)
+  }
+  if (options.maxEstimatedRows != null && cost.rows > options.maxEstimatedRows) {
+    problems.push(`it is estimated to fetch ${cost.rows} rows, but "maxEstimatedRows" is ${options.maxEstimatedRows}`)
+  }
+  if (problems.length) {
+    const err = new Error(`The query is too expensive: ${problems.join('; ')}.`)
+    err.cost = cost
+    throw err
+  }
+}
+
+export function estimateCost(sqlAST) {
+  const cost = {
+    depth: 0,
+    deepestPath: null,
+    joins: 0,
+    mostJoinsPath: null,
+    batches: 0,
+    rows: 0
+  }
+  // the root and each batch start a new query, which gets its own count of joins
+  const queries = []
+  const newQuery = path => {
+    const query = { path, joins: 0 }
+    queries.push(query)
+    return query
+  }
+  walk(sqlAST, 1, 1, sqlAST.fieldName, newQuery(sqlAST.fieldName), newQuery, cost)
+
+  for (let query of queries) {
+    if (query.joins > cost.joins) {
+      cost.joins = query.joins
+      cost.mostJoinsPath = query.path
+    }
+  }
+  return cost
+}
+
+function walk(node, depth, parentRows, path, query, newQuery, cost) {
+  const rows = parentRows * rowsPerParent(node)
+  cost.rows += rows
+  if (depth > cost.depth) {
+    cost.depth = depth
+    cost.deepestPath = path
+  }
+
+  for (let child of tableChildren(node)) {
+    const childPath = `${path}.${child.fieldName}`
+    let childQuery = query
+    if (child.sqlBatch || child.junctionBatch) {
+      cost.batches++
+      childQuery = newQuery(childPath)
+    } else {
+      // a many-to-many goes through the junction table too
+      query.joins += child.sqlJoins ? 2 : 1
+    }
+    walk(child, depth + 1, rows, childPath, childQuery, newQuery, cost)
+  }
+}
+
+function rowsPerParent(node) {
+  if (node.estimatedRows != null) return node.estimatedRows
+  if (!node.grabMany) return 1
+  const pageSize = node.paginate && (node.args.first || node.args.last)
+  return pageSize || DEFAULT_LIST_ROWS
+}
+
+function tableChildren(node) {
+  const children = [ ...node.children ]
+  for (let typeName in node.typedChildren || {}) {
+    children.push(...node.typedChildren[typeName])
+  }
+  return children.filter(child => [ 'table', 'union' ].includes(child.type))
+}
+
+function plural(count, one, many) {
+  return `${count} ${count === 1 ? one : many}`
+}
@@ -0,0 +1,65 @@
+// the tables requested under an alias have their data under their own key, e.g. "posts$recent".
+// GraphQL names can't have a "$", so these never collide with the other fields
+export function dataKeyOf(selection, fieldName = selection.name.value) {
+  if (!selection.alias || selection.alias.value === selection.name.value) return fieldName
+  return `${fieldName}$${selection.alias.value}`
+}
+
+const aliasResolver = Symbol('join-monster alias resolver')
+
+// the resolver of an aliased field needs to find the data for the alias being resolved. the resolvers of the fields
+// that fetch tables are wrapped once, when the schema is set up, so they get a parent with that data under the field name
+export default function resolveAliases(schema) {
+  const typeMap = schema.getTypeMap()
+  for (let typeName in typeMap) {
+    const type = typeMap[typeName]
+    if (type.constructor.name !== 'GraphQLObjectType' || !type._typeConfig.sqlTable) continue
+    // the fields of an interface are resolved on the types that implement it, which might leave the join to the interface
+    const interfaceFields = type.getInterfaces().map(iface => iface.getFields())
+    const fields = type.getFields()
+    for (let fieldName in fields) {
+      const field = fields[fieldName]
+      const fetchesTable = isTableField(field) || interfaceFields.some(ifaceFields => isTableField(ifaceFields[fieldName]))
+      if (fetchesTable && !isWrapped(field)) {
+        field.resolve = wrapResolver(field.resolve)
+      }
+    }
+  }
+  return schema
+}
+
+// whether the data of an alias will be found when the field is resolved
+export function resolvesAliases(schema, parentType, fieldName) {
+  const types = parentType.constructor.name === 'GraphQLInterfaceType' ? schema.getPossibleTypes(parentType) : [ parentType ]
+  return types.every(type => !type._fields || !type._fields[fieldName] || isWrapped(type._fields[fieldName]))
+}
+
+function isTableField(field) {
+  return Boolean(field && (field.sqlJoin || field.sqlBatch || field.junctionTable || field.sqlRelation))
+}
+
+function isWrapped(field) {
+  return Boolean(field.resolve && field.resolve[aliasResolver])
+}
+
+function wrapResolver(resolve = defaultResolver) {
+  const wrapped = (parent, args, context, resolveInfo) => {
+    // v0.8 changed the "fieldASTs" property to "fieldNodes"
+    const [ fieldNode ] = resolveInfo.fieldNodes || resolveInfo.fieldASTs
+    const { fieldName } = resolveInfo
+    const dataKey = dataKeyOf(fieldNode, fieldName)
+    // the parent might not have come from joinMonster at all
+    if (parent && dataKey !== fieldName && dataKey in parent) {
+      parent = { ...parent, [fieldName]: parent[dataKey] }
+    }
+    return resolve(parent, args, context, resolveInfo)
+  }
+  wrapped[aliasResolver] = true
+  return wrapped
+}
+
+// same as GraphQL's
+function defaultResolver(parent, args, context, resolveInfo) {
+  const value = parent && parent[resolveInfo.fieldName]
+  return typeof value === 'function' ? value.call(parent, args, context, resolveInfo) : value
+}
@@ -1,4 +1,5 @@
 import { chain } from 'lodash'
+import { wrap } from './util'
 
 // union types have additional processing. the field names have a @ and the typename appended to them.
 // need to strip those off and take whichever of those values are non-null
@@ -13,14 +14,12 @@ export default function resolveUnions(data, sqlAST) {
       const children = sqlAST.typedChildren[typeName]
       for (let child of children) {
         const fieldName = child.fieldName
-        const qualifiedName = child.fieldName + suffix
+        // a batch on the member type needs the values of the parent key to match its rows up with these
+        const batch = child.sqlBatch || child.junctionBatch
+        const fieldNames = [ fieldName, ...batch ? wrap(batch.parentKey).map(key => key.fieldName) : [] ]
         if (Array.isArray(data)) {
           for (let obj of data) {
-            const qualifiedValue = obj[qualifiedName]
-            delete obj[qualifiedName]
-            if (obj[fieldName] == null && qualifiedValue) {
-              obj[fieldName] = qualifiedValue
-            }
+            fieldNames.forEach(name => unqualify(obj, name, suffix))
           }
           if (child.type === 'table' || child.type === 'union') {
             const nextLevelData = chain(data)
@@ -31,11 +30,7 @@ export default function resolveUnions(data, sqlAST) {
             resolveUnions(nextLevelData, child)
           }
         } else {
-          const qualifiedValue = data[qualifiedName]
-          delete data[qualifiedName]
-          if (data[fieldName] == null && qualifiedValue) {
-            data[fieldName] = qualifiedValue
-          }
+          fieldNames.forEach(name => unqualify(data, name, suffix))
           if (child.type === 'table' || child.type === 'union') {
             resolveUnions(data[fieldName], child)
           }
@@ -62,3 +57,10 @@ export default function resolveUnions(data, sqlAST) {
   }
 }
 
+function unqualify(obj, fieldName, suffix) {
+  const qualifiedValue = obj[fieldName + suffix]
+  delete obj[fieldName + suffix]
+  if (obj[fieldName] == null && qualifiedValue) {
+    obj[fieldName] = qualifiedValue
+  }
+}
@@ -1,6 +1,7 @@
 import {
   keysetPagingSelect,
   offsetPagingSelect,
+  rowNumberPagingJoin,
   interpretForOffsetPaging,
   interpretForKeysetPaging,
   quotePrefix,
@@ -30,21 +31,27 @@ function paginatedSelect(table, as, whereConditions, orderColumns, limit, offset
 }
 
 const dialect = module.exports = {
-  ...require('./mixins/pagination-not-supported'),
-
   name: 'mariadb',
 
+  explain(sql, analyze) {
+    return [ `${analyze ? 'ANALYZE' : 'EXPLAIN'} FORMAT=JSON ${sql}` ]
+  },
+
   quote,
 
+  placeholder() {
+    return '?'
+  },
+
   compositeKey(parent, keys) {
     keys = keys.map(key => `${quote(parent)}.${quote(key)}`)
     return `CONCAT(${keys.join(', ')})`
   },
 
-  handlePaginationAtRoot: async function(parent, node, prefix, context, selections, joins, wheres, orders) {
+  handlePaginationAtRoot: async function(parent, node, prefix, context, selections, joins, wheres, orders, params) {
     const pagingWhereConditions = []
     if (node.sortKey) {
-      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect) // eslint-disable-line no-redeclare
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params) // eslint-disable-line no-redeclare
       pagingWhereConditions.push(whereAddendum)
       if (node.where) {
         pagingWhereConditions.push(await node.where(`${quote(node.as)}`, node.args || {}, context, quotePrefix(prefix, quote)))
@@ -63,16 +70,34 @@ const dialect = module.exports = {
     })
   },
 
-  handleBatchedOneToManyPaginated: async function(parent, node, prefix, context, selections, joins, wheres, orders, batchScope) {
+  handleJoinedOneToManyPaginated: async function(parent, node, prefix, context, selections, joins, wheres, orders, joinCondition, params) {
+    const { join, orderColumns } = await rowNumberPagingJoin(parent, node, node.name, node.as, joinCondition, context, prefix, dialect, params)
+    joins.push(join)
+    orders.push({
+      table: node.as,
+      columns: orderColumns
+    })
+  },
+
+  handleJoinedManyToManyPaginated: async function(parent, node, prefix, context, selections, joins, wheres, orders, joinCondition1, params) {
+    const { join, orderColumns } = await rowNumberPagingJoin(parent, node, node.junctionTable, node.junctionTableAs, joinCondition1, context, prefix, dialect, params)
+    joins.push(join)
+    orders.push({
+      table: node.junctionTableAs,
+      columns: orderColumns
+    })
+  },
+
+  handleBatchedOneToManyPaginated: async function(parent, node, prefix, context, selections, joins, wheres, orders, batchScope, params) {
     const pagingWhereConditions = []
     if (node.where) {
       pagingWhereConditions.push(await node.where(`${quote(node.as)}`, node.args || {}, context, quotePrefix(prefix, quote)))
     }
     if (node.sortKey) {
-      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect) // eslint-disable-line no-redeclare
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params) // eslint-disable-line no-redeclare
       pagingWhereConditions.push(whereAddendum)
       const unions = batchScope.map(val => {
-        let whereConditions = [ ...pagingWhereConditions, `${quote(node.as)}.${quote(node.sqlBatch.thisKey.name)} = ${val}` ]
+        let whereConditions = [ ...pagingWhereConditions, `${quote(node.as)}.${quote(node.sqlBatch.thisKey.name)} = ${params.add(val)}` ]
         whereConditions = filter(whereConditions).join(' AND ') || '1'
         return paginatedSelect(node.name, node.as, whereConditions, orderColumns, limit, offset, true)
       })
@@ -80,7 +105,7 @@ const dialect = module.exports = {
     } else if (node.orderBy) {
       var { limit, offset, orderColumns } = interpretForOffsetPaging(node, dialect) // eslint-disable-line no-redeclare
       const unions = batchScope.map(val => {
-        let whereConditions = [ ...pagingWhereConditions, `${quote(node.as)}.${quote(node.sqlBatch.thisKey.name)} = ${val}` ]
+        let whereConditions = [ ...pagingWhereConditions, `${quote(node.as)}.${quote(node.sqlBatch.thisKey.name)} = ${params.add(val)}` ]
         whereConditions = filter(whereConditions).join(' AND ') || '1'
         return paginatedSelect(node.name, node.as, whereConditions, orderColumns, limit, offset, true)
       })
@@ -92,16 +117,16 @@ const dialect = module.exports = {
     })
   },
 
-  handleBatchedManyToManyPaginated: async function(parent, node, prefix, context, selections, joins, wheres, orders, batchScope, joinCondition) {
+  handleBatchedManyToManyPaginated: async function(parent, node, prefix, context, selections, joins, wheres, orders, batchScope, joinCondition, params) {
     const pagingWhereConditions = []
     if (node.where) {
       pagingWhereConditions.push(await node.where(`${quote(node.as)}`, node.args || {}, context, quotePrefix(prefix, quote)))
     }
     if (node.sortKey) {
-      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect) // eslint-disable-line no-redeclare
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params) // eslint-disable-line no-redeclare
       pagingWhereConditions.push(whereAddendum)
       const unions = batchScope.map(val => {
-        let whereConditions = [ ...pagingWhereConditions, `${quote(node.junctionTableAs)}.${quote(node.junctionBatch.thisKey.name)} = ${val}` ]
+        let whereConditions = [ ...pagingWhereConditions, `${quote(node.junctionTableAs)}.${quote(node.junctionBatch.thisKey.name)} = ${params.add(val)}` ]
         whereConditions = filter(whereConditions).join(' AND ') || '1'
         return paginatedSelect(node.junctionTable, node.junctionTableAs, whereConditions, orderColumns, limit, offset, true)
       })
@@ -109,7 +134,7 @@ const dialect = module.exports = {
     } else if (node.orderBy) {
       var { limit, offset, orderColumns } = interpretForOffsetPaging(node, dialect) // eslint-disable-line no-redeclare
       const unions = batchScope.map(val => {
-        let whereConditions = [ ...pagingWhereConditions, `${quote(node.junctionTableAs)}.${quote(node.junctionBatch.thisKey.name)} = ${val}` ]
+        let whereConditions = [ ...pagingWhereConditions, `${quote(node.junctionTableAs)}.${quote(node.junctionBatch.thisKey.name)} = ${params.add(val)}` ]
         whereConditions = filter(whereConditions).join(' AND ') || '1'
         return paginatedSelect(node.junctionTable, node.junctionTableAs, whereConditions, orderColumns, limit, offset, true)
       })
@@ -0,0 +1,180 @@
+import {
+  interpretForOffsetPaging,
+  interpretForKeysetPaging,
+  quotePrefix,
+  orderColumnsToString
+} from '../shared'
+import { filter } from 'lodash'
+
+function quote(str) {
+  return `[${str}]`
+}
+
+// SQL Server only allows an ORDER BY in a derived table if it has an OFFSET. the FETCH is left off when there's no limit
+function offsetFetch(limit, offset = 0) {
+  return `OFFSET ${offset} ROWS${limit === 'ALL' ? '' : ` FETCH NEXT ${limit} ROWS ONLY`}`
+}
+
+// there is no LATERAL join. APPLY does the same thing
+function applyOrFrom(select, as, options) {
+  const { joinCondition, joinType } = options
+  if (joinCondition) {
+    return `${joinType === 'LEFT' ? 'OUTER' : 'CROSS'} APPLY (\n${select}\n) ${quote(as)}`
+  }
+  return `FROM (\n${select}\n) ${quote(as)}`
+}
+
+function keysetPagingSelect(table, whereCondition, orderColumns, limit, as, options = {}) {
+  whereCondition = filter(whereCondition).join(' AND ') || '1 = 1'
+  return applyOrFrom(`\
+  SELECT *
+  FROM ${table} ${quote(as)}
+  WHERE ${whereCondition}
+  ORDER BY ${orderColumnsToString(orderColumns, quote, as)}
+  ${offsetFetch(limit)}`, as, options)
+}
+
+function offsetPagingSelect(table, pagingWhereConditions, orderColumns, limit, offset, as, options = {}) {
+  const whereCondition = filter(pagingWhereConditions).join(' AND ') || '1 = 1'
+  return applyOrFrom(`\
+  SELECT ${quote(as)}.*, count(*) OVER () AS ${quote('$total')}
+  FROM ${table} ${quote(as)}
+  WHERE ${whereCondition}
+  ORDER BY ${orderColumnsToString(orderColumns, quote, as)}
+  ${offsetFetch(limit, offset)}`, as, options)
+}
+
+// a derived table with one row for each value in the batch
+function valuesTable(batchScope, params) {
+  return `FROM (VALUES ${batchScope.map(val => `(${params.add(val)})`).join(', ')}) ${quote('temp')}(${quote('value')})`
+}
+
+const dialect = module.exports = {
+  name: 'mssql',
+
+  quote,
+
+  // there are no row values, like "(a, b) IN ((1, 2))", for matching composite keys
+  rowValues: false,
+
+  placeholder(index) {
+    return `@p${index}`
+  },
+
+  compositeKey(parent, keys) {
+    keys = keys.map(key => `${quote(parent)}.${quote(key)}`)
+    return `NULLIF(CONCAT(${keys.join(', ')}), '')`
+  },
+
+  handlePaginationAtRoot: async function(parent, node, prefix, context, selections, tables, wheres, orders, params) {
+    const pagingWhereConditions = []
+    if (node.sortKey) {
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params) // eslint-disable-line no-redeclare
+      pagingWhereConditions.push(whereAddendum)
+      if (node.where) {
+        pagingWhereConditions.push(await node.where(quote(node.as), node.args || {}, context, quotePrefix(prefix, quote)))
+      }
+      tables.push(keysetPagingSelect(node.name, pagingWhereConditions, orderColumns, limit, node.as))
+    } else if (node.orderBy) {
+      var { limit, offset, orderColumns } = interpretForOffsetPaging(node, dialect) // eslint-disable-line no-redeclare
+      if (node.where) {
+        pagingWhereConditions.push(await node.where(quote(node.as), node.args || {}, context, quotePrefix(prefix, quote)))
+      }
+      tables.push(offsetPagingSelect(node.name, pagingWhereConditions, orderColumns, limit, offset, node.as))
+    }
+    orders.push({
+      table: node.as,
+      columns: orderColumns
+    })
+  },
+
+  handleJoinedOneToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, joinCondition, params) {
+    const pagingWhereConditions = [
+      await node.sqlJoin(quote(parent.as), quote(node.as), node.args || {}, context)
+    ]
+    if (node.where) {
+      pagingWhereConditions.push(await node.where(quote(node.as), node.args || {}, context, quotePrefix(prefix, quote)))
+    }
+
+    // which type of pagination are they using?
+    if (node.sortKey) {
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params) // eslint-disable-line no-redeclare
+      pagingWhereConditions.push(whereAddendum)
+      tables.push(keysetPagingSelect(node.name, pagingWhereConditions, orderColumns, limit, node.as, { joinCondition, joinType: 'LEFT' }))
+    } else if (node.orderBy) {
+      var { limit, offset, orderColumns } = interpretForOffsetPaging(node, dialect) // eslint-disable-line no-redeclare
+      tables.push(offsetPagingSelect(node.name, pagingWhereConditions, orderColumns, limit, offset, node.as, { joinCondition, joinType: 'LEFT' }))
+    }
+    orders.push({
+      table: node.as,
+      columns: orderColumns
+    })
+  },
+
+  handleJoinedManyToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, joinCondition1, params) {
+    const pagingWhereConditions = [
+      await node.sqlJoins[0](quote(parent.as), quote(node.junctionTableAs), node.args || {}, context)
+    ]
+    if (node.where) {
+      pagingWhereConditions.push(await node.where(quote(node.as), node.args || {}, context, quotePrefix(prefix, quote)))
+    }
+
+    if (node.sortKey) {
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params) // eslint-disable-line no-redeclare
+      pagingWhereConditions.push(whereAddendum)
+      tables.push(keysetPagingSelect(node.junctionTable, pagingWhereConditions, orderColumns, limit, node.junctionTableAs, { joinCondition: joinCondition1, joinType: 'LEFT' }))
+    } else if (node.orderBy) {
+      var { limit, offset, orderColumns } = interpretForOffsetPaging(node, dialect) // eslint-disable-line no-redeclare
+      tables.push(offsetPagingSelect(node.junctionTable, pagingWhereConditions, orderColumns, limit, offset, node.junctionTableAs, { joinCondition: joinCondition1, joinType: 'LEFT' }))
+    }
+    orders.push({
+      table: node.junctionTableAs,
+      columns: orderColumns
+    })
+  },
+
+  handleBatchedOneToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, params) {
+    const lateralJoinCondition = `${quote(node.as)}.${quote(node.sqlBatch.thisKey.name)} = ${quote('temp')}.${quote('value')}`
+    const pagingWhereConditions = [ lateralJoinCondition ]
+    if (node.where) {
+      pagingWhereConditions.push(await node.where(quote(node.as), node.args || {}, context, []))
+    }
+    tables.push(valuesTable(batchScope, params))
+    if (node.sortKey) {
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params) // eslint-disable-line no-redeclare
+      pagingWhereConditions.push(whereAddendum)
+      tables.push(keysetPagingSelect(node.name, pagingWhereConditions, orderColumns, limit, node.as, { joinCondition: lateralJoinCondition }))
+    } else if (node.orderBy) {
+      var { limit, offset, orderColumns } = interpretForOffsetPaging(node, dialect) // eslint-disable-line no-redeclare
+      tables.push(offsetPagingSelect(node.name, pagingWhereConditions, orderColumns, limit, offset, node.as, { joinCondition: lateralJoinCondition }))
+    }
+    orders.push({
+      table: node.as,
+      columns: orderColumns
+    })
+  },
+
+  handleBatchedManyToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, joinCondition, params) {
+    const lateralJoinCondition = `${quote(node.junctionTableAs)}.${quote(node.junctionBatch.thisKey.name)} = ${quote('temp')}.${quote('value')}`
+    const pagingWhereConditions = [ lateralJoinCondition ]
+    if (node.where) {
+      pagingWhereConditions.push(await node.where(quote(node.as), node.args || {}, context, quotePrefix(prefix, quote)))
+    }
+
+    tables.push(valuesTable(batchScope, params))
+    if (node.sortKey) {
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params) // eslint-disable-line no-redeclare
+      pagingWhereConditions.push(whereAddendum)
+      tables.push(keysetPagingSelect(node.junctionTable, pagingWhereConditions, orderColumns, limit, node.junctionTableAs, { joinCondition: lateralJoinCondition, joinType: 'LEFT' }))
+    } else if (node.orderBy) {
+      var { limit, offset, orderColumns } = interpretForOffsetPaging(node, dialect) // eslint-disable-line no-redeclare
+      tables.push(offsetPagingSelect(node.junctionTable, pagingWhereConditions, orderColumns, limit, offset, node.junctionTableAs, { joinCondition: lateralJoinCondition, joinType: 'LEFT' }))
+    }
+    tables.push(`LEFT JOIN ${node.name} ${quote(node.as)} ON ${joinCondition}`)
+
+    orders.push({
+      table: node.junctionTableAs,
+      columns: orderColumns
+    })
+  }
+}
@@ -1,17 +1,122 @@
+import {
+  keysetPagingSelect,
+  offsetPagingSelect,
+  rowNumberPagingSelect,
+  interpretForRowNumberPaging,
+  interpretForOffsetPaging,
+  interpretForKeysetPaging,
+  quotePrefix
+} from '../shared'
+
 function quote(str) {
   return `\`${str}\``
 }
 
+// the rows for every key in the batch are numbered separately, so each parent gets its own page
+async function batchedPagingSelect(node, table, as, batchKey, batchScope, context, prefix, params) {
+  const keyColumn = `${quote(as)}.${quote(batchKey)}`
+  const paging = await interpretForRowNumberPaging(node, as, context, prefix, [ `${keyColumn} IN (${batchScope.map(params.add).join(',')})` ], dialect, params)
+  return {
+    ...rowNumberPagingSelect(table, as, { ...paging, q: quote, partitionBy: [ keyColumn ] }),
+    orderColumns: paging.orderColumns
+  }
+}
 
-module.exports = {
-  ...require('./mixins/pagination-not-supported'),
+// a LATERAL derived table can refer to the parent's row, so the page is taken for each parent on its own
+async function lateralPagingSelect(node, table, as, pagingWhereConditions, joinCondition, context, prefix, params) {
+  if (node.where) {
+    pagingWhereConditions.push(await node.where(quote(node.as), node.args || {}, context, quotePrefix(prefix, quote)))
+  }
+  if (node.sortKey) {
+    const { limit, orderColumns, whereCondition } = interpretForKeysetPaging(node, dialect, params, as)
+    pagingWhereConditions.push(whereCondition)
+    return {
+      join: keysetPagingSelect(table, pagingWhereConditions, orderColumns, limit, as, { joinCondition, joinType: 'LEFT', q: quote }),
+      orderColumns
+    }
+  }
+  const { limit, offset, orderColumns } = interpretForOffsetPaging(node, dialect)
+  return {
+    join: offsetPagingSelect(table, pagingWhereConditions, orderColumns, limit, offset, as, { joinCondition, joinType: 'LEFT', q: quote }),
+    orderColumns
+  }
+}
 
+const dialect = module.exports = {
   name: 'mysql',
 
+  // EXPLAIN ANALYZE can only be formatted as a tree
+  explain(sql, analyze) {
+    return [ analyze ? `EXPLAIN ANALYZE ${sql}` : `EXPLAIN FORMAT=JSON ${sql}` ]
+  },
+
   quote,
 
+  placeholder() {
+    return '?'
+  },
+
   compositeKey(parent, keys) {
     keys = keys.map(key => `${quote(parent)}.${quote(key)}`)
     return `CONCAT(${keys.join(', ')})`
+  },
+
+  handlePaginationAtRoot: async function(parent, node, prefix, context, selections, tables, wheres, orders, params) {
+    const pagingWhereConditions = []
+    if (node.where) {
+      pagingWhereConditions.push(await node.where(quote(node.as), node.args || {}, context, quotePrefix(prefix, quote)))
+    }
+    if (node.sortKey) {
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params) // eslint-disable-line no-redeclare
+      pagingWhereConditions.push(whereAddendum)
+      tables.push(keysetPagingSelect(node.name, pagingWhereConditions, orderColumns, limit, node.as, { q: quote }))
+    } else if (node.orderBy) {
+      var { limit, offset, orderColumns } = interpretForOffsetPaging(node, dialect) // eslint-disable-line no-redeclare
+      tables.push(offsetPagingSelect(node.name, pagingWhereConditions, orderColumns, limit, offset, node.as, { q: quote }))
+    }
+    orders.push({
+      table: node.as,
+      columns: orderColumns
+    })
+  },
+
+  handleJoinedOneToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, joinCondition, params) {
+    const pagingWhereConditions = [ await node.sqlJoin(quote(parent.as), quote(node.as), node.args || {}, context) ]
+    const { join, orderColumns } = await lateralPagingSelect(node, node.name, node.as, pagingWhereConditions, joinCondition, context, prefix, params)
+    tables.push(join)
+    orders.push({
+      table: node.as,
+      columns: orderColumns
+    })
+  },
+
+  handleJoinedManyToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, joinCondition1, params) {
+    const pagingWhereConditions = [ await node.sqlJoins[0](quote(parent.as), quote(node.junctionTableAs), node.args || {}, context) ]
+    const { join, orderColumns } = await lateralPagingSelect(node, node.junctionTable, node.junctionTableAs, pagingWhereConditions, joinCondition1, context, prefix, params)
+    tables.push(join)
+    orders.push({
+      table: node.junctionTableAs,
+      columns: orderColumns
+    })
+  },
+
+  handleBatchedOneToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, params) {
+    const { derivedTable, pageCondition, orderColumns } = await batchedPagingSelect(node, node.name, node.as, node.sqlBatch.thisKey.name, batchScope, context, prefix, params)
+    tables.push(`FROM ${derivedTable}`)
+    wheres.push(pageCondition)
+    orders.push({
+      table: node.as,
+      columns: orderColumns
+    })
+  },
+
+  handleBatchedManyToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, joinCondition, params) {
+    const { derivedTable, pageCondition, orderColumns } = await batchedPagingSelect(node, node.junctionTable, node.junctionTableAs, node.junctionBatch.thisKey.name, batchScope, context, prefix, params)
+    tables.push(`FROM ${derivedTable}`, `LEFT JOIN ${node.name} ${quote(node.as)} ON ${joinCondition}`)
+    wheres.push(pageCondition)
+    orders.push({
+      table: node.junctionTableAs,
+      columns: orderColumns
+    })
   }
 }
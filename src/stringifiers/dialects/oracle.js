@@ -67,16 +67,29 @@ FROM (
 const dialect = module.exports = {
   ...require('./pg'),
   name: 'oracle',
-  
+
+  // json_agg and the typed arrays for the batch keys are postgres only
+  jsonAgg: undefined,
+  batchScopeCondition: undefined,
+
+  // the plan goes into a table, which has to be read back out. oracle can't analyze it
+  explain(sql) {
+    return [ `EXPLAIN PLAN FOR ${sql}`, 'SELECT PLAN_TABLE_OUTPUT FROM TABLE(DBMS_XPLAN.DISPLAY())' ]
+  },
+
+  placeholder(index) {
+    return `:${index}`
+  },
+
   compositeKey(parent, keys) {
     keys = keys.map(key => `"${parent}"."${key}"`)
     return `NULLIF(${recursiveConcat(keys)}, '')`
   },
 
-  handlePaginationAtRoot: async function(parent, node, prefix, context, selections, tables, wheres, orders) {
+  handlePaginationAtRoot: async function(parent, node, prefix, context, selections, tables, wheres, orders, params) {
     const pagingWhereConditions = []
     if (node.sortKey) {
-      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect) // eslint-disable-line no-redeclare
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params) // eslint-disable-line no-redeclare
       pagingWhereConditions.push(whereAddendum)
       if (node.where) {
         pagingWhereConditions.push(await node.where(`"${node.as}"`, node.args || {}, context, quotePrefix(prefix)))
@@ -96,7 +109,7 @@ const dialect = module.exports = {
 
   },
 
-  handleJoinedOneToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, joinCondition) {
+  handleJoinedOneToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, joinCondition, params) {
     const pagingWhereConditions = [
       await node.sqlJoin(`"${parent.as}"`, q(node.as), node.args || {}, context),
     ]
@@ -106,7 +119,7 @@ const dialect = module.exports = {
 
     // which type of pagination are they using?
     if (node.sortKey) {
-      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect)
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params)
       pagingWhereConditions.push(whereAddendum)
       tables.push(keysetPagingSelect(node.name, pagingWhereConditions, orderColumns, limit, node.as, { joinCondition, joinType: 'LEFT' }))
     } else if (node.orderBy) {
@@ -119,7 +132,7 @@ const dialect = module.exports = {
     })
   },
 
-  handleJoinedManyToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, joinCondition1) {
+  handleJoinedManyToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, joinCondition1, params) {
     const pagingWhereConditions = [
       await node.sqlJoins[0](`"${parent.as}"`, `"${node.junctionTableAs}"`, node.args || {}, context)
     ]
@@ -128,7 +141,7 @@ const dialect = module.exports = {
     }
 
     if (node.sortKey) {
-      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect) // eslint-disable-line no-redeclare
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params) // eslint-disable-line no-redeclare
       pagingWhereConditions.push(whereAddendum)
       tables.push(keysetPagingSelect(node.junctionTable, pagingWhereConditions, orderColumns, limit, node.junctionTableAs, { joinCondition: joinCondition1, joinType: 'LEFT' }))
     } else if (node.orderBy) {
@@ -141,17 +154,17 @@ const dialect = module.exports = {
     })
   },
 
-  handleBatchedOneToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, batchScope) {
+  handleBatchedOneToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, params) {
     const pagingWhereConditions = [
       `"${node.as}"."${node.sqlBatch.thisKey.name}" = "temp"."value"`
     ]
     if (node.where) {
       pagingWhereConditions.push(await node.where(`"${node.as}"`, node.args || {}, context, []))
     }
-    tables.push(`FROM (${arrToTableUnion(batchScope)}) "temp"`)
+    tables.push(`FROM (${arrToTableUnion(batchScope, params)}) "temp"`)
     const lateralJoinCondition = `"${node.as}"."${node.sqlBatch.thisKey.name}" = "temp"."value"`
     if (node.sortKey) {
-      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect) // eslint-disable-line no-redeclare
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params) // eslint-disable-line no-redeclare
       pagingWhereConditions.push(whereAddendum)
       tables.push(keysetPagingSelect(node.name, pagingWhereConditions, orderColumns, limit, node.as, { joinCondition: lateralJoinCondition }))
     } else if (node.orderBy) {
@@ -164,7 +177,7 @@ const dialect = module.exports = {
     })
   },
 
-  handleBatchedManyToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, joinCondition) {
+  handleBatchedManyToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, joinCondition, params) {
     const pagingWhereConditions = [
       `"${node.junctionTableAs}"."${node.junctionBatch.thisKey.name}" = "temp"."value"`
     ]
@@ -172,11 +185,11 @@ const dialect = module.exports = {
       pagingWhereConditions.push(await node.where(`"${node.as}"`, node.args || {}, context, quotePrefix(prefix)))
     }
 
-    tables.push(`FROM (${arrToTableUnion(batchScope)}) "temp"`)
+    tables.push(`FROM (${arrToTableUnion(batchScope, params)}) "temp"`)
     const lateralJoinCondition = `"${node.junctionTableAs}"."${node.junctionBatch.thisKey.name}" = "temp"."value"`
 
     if (node.sortKey) {
-      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect) // eslint-disable-line no-redeclare
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params) // eslint-disable-line no-redeclare
       pagingWhereConditions.push(whereAddendum)
       tables.push(keysetPagingSelect(node.junctionTable, pagingWhereConditions, orderColumns, limit, node.junctionTableAs, { joinCondition: lateralJoinCondition, joinType: 'LEFT' }))
     } else if (node.orderBy) {
@@ -193,8 +206,8 @@ const dialect = module.exports = {
 }
 
 
-function arrToTableUnion(arr) {
+function arrToTableUnion(arr, params) {
   return arr.map(val => `
-  SELECT ${val} AS "value" FROM DUAL
+  SELECT ${params.add(val)} AS "value" FROM DUAL
 `).join(' UNION ')
 }
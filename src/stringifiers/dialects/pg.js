@@ -5,20 +5,54 @@ import {
   interpretForKeysetPaging,
   quotePrefix
 } from '../shared'
+import { arrayParam } from '../../util'
+
+// with the type of the keys, the batch scope is one array parameter. the SQL is then the same for any number of keys
+function batchScopeTable(batchScope, keyType, column, params) {
+  if (keyType) {
+    return `FROM unnest(${arrayParam(batchScope, params)}::${keyType}[]) temp("${column}")`
+  }
+  return `FROM (VALUES ${batchScope.map(val => `(${params.add(val)})`)}) temp("${column}")`
+}
 
 const dialect = module.exports = {
   name: 'pg',
 
+  explain(sql, analyze) {
+    return [ `EXPLAIN (${analyze ? 'ANALYZE, ' : ''}FORMAT JSON) ${sql}` ]
+  },
+
   quote(str) {
     return `"${str}"`
   },
 
+  placeholder(index) {
+    return `$${index}`
+  },
+
+  batchScopeCondition(column, batchScope, keyType, params) {
+    return `${column} = ANY(${arrayParam(batchScope, params)}::${keyType}[])`
+  },
+
+  // the rows of a list as a JSON array in a correlated subquery. a subquery can give its rows in any order, so they are numbered first
+  jsonAgg(selections, tables, wheres, order) {
+    return `(
+  SELECT coalesce(json_agg("$rows" ORDER BY "$rows"."$row"), '[]'::json)
+  FROM (
+    SELECT
+      row_number() OVER (${order ? `ORDER BY ${order}` : ''}) AS "$row",
+      ${selections.join(',\n      ')}
+    ${tables.join('\n    ')}${wheres.length ? `\n    WHERE ${wheres.join(' AND ')}` : ''}
+  ) "$rows"
+)`
+  },
+
   compositeKey(parent, keys) {
     keys = keys.map(key => `"${parent}"."${key}"`)
     return `NULLIF(CONCAT(${keys.join(', ')}), '')`
   },
 
-  handleJoinedOneToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, joinCondition) {
+  handleJoinedOneToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, joinCondition, params) {
     const pagingWhereConditions = [
       await node.sqlJoin(`"${parent.as}"`, `"${node.as}"`, node.args || {}, context),
     ]
@@ -28,7 +62,7 @@ const dialect = module.exports = {
 
     // which type of pagination are they using?
     if (node.sortKey) {
-      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect)
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params)
       pagingWhereConditions.push(whereAddendum)
       tables.push(keysetPagingSelect(node.name, pagingWhereConditions, orderColumns, limit, node.as, { joinCondition, joinType: 'LEFT' }))
     } else if (node.orderBy) {
@@ -41,7 +75,7 @@ const dialect = module.exports = {
     })
   },
 
-  handleBatchedManyToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, joinCondition) {
+  handleBatchedManyToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, joinCondition, params) {
     const pagingWhereConditions = [
       `"${node.junctionTableAs}"."${node.junctionBatch.thisKey.name}" = temp."${node.junctionBatch.parentKey.name}"`
     ]
@@ -49,12 +83,12 @@ const dialect = module.exports = {
       pagingWhereConditions.push(await node.where(`"${node.as}"`, node.args || {}, context, quotePrefix(prefix)))
     }
 
-    const tempTable = `FROM (VALUES ${batchScope.map(val => `(${val})`)}) temp("${node.junctionBatch.parentKey.name}")`
+    const tempTable = batchScopeTable(batchScope, node.junctionBatch.keyType, node.junctionBatch.parentKey.name, params)
     tables.push(tempTable)
     const lateralJoinCondition = `"${node.junctionTableAs}"."${node.junctionBatch.thisKey.name}" = temp."${node.junctionBatch.parentKey.name}"`
 
     if (node.sortKey) {
-      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect) // eslint-disable-line no-redeclare
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params) // eslint-disable-line no-redeclare
       pagingWhereConditions.push(whereAddendum)
       tables.push(keysetPagingSelect(node.junctionTable, pagingWhereConditions, orderColumns, limit, node.junctionTableAs, { joinCondition: lateralJoinCondition, joinType: 'LEFT' }))
     } else if (node.orderBy) {
@@ -69,7 +103,7 @@ const dialect = module.exports = {
     })
   },
 
-  handleJoinedManyToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, joinCondition1) {
+  handleJoinedManyToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, joinCondition1, params) {
     const pagingWhereConditions = [
       await node.sqlJoins[0](`"${parent.as}"`, `"${node.junctionTableAs}"`, node.args || {}, context)
     ]
@@ -78,7 +112,7 @@ const dialect = module.exports = {
     }
 
     if (node.sortKey) {
-      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect) // eslint-disable-line no-redeclare
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params) // eslint-disable-line no-redeclare
       pagingWhereConditions.push(whereAddendum)
       tables.push(keysetPagingSelect(node.junctionTable, pagingWhereConditions, orderColumns, limit, node.junctionTableAs, { joinCondition: joinCondition1, joinType: 'LEFT' }))
     } else if (node.orderBy) {
@@ -91,10 +125,10 @@ const dialect = module.exports = {
     })
   },
 
-  handlePaginationAtRoot: async function(parent, node, prefix, context, selections, tables, wheres, orders) {
+  handlePaginationAtRoot: async function(parent, node, prefix, context, selections, tables, wheres, orders, params) {
     const pagingWhereConditions = []
     if (node.sortKey) {
-      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect) // eslint-disable-line no-redeclare
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params) // eslint-disable-line no-redeclare
       pagingWhereConditions.push(whereAddendum)
       if (node.where) {
         pagingWhereConditions.push(await node.where(`"${node.as}"`, node.args || {}, context, quotePrefix(prefix)))
@@ -114,18 +148,18 @@ const dialect = module.exports = {
 
   },
 
-  handleBatchedOneToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, batchScope) {
+  handleBatchedOneToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, params) {
     const pagingWhereConditions = [
       `"${node.as}"."${node.sqlBatch.thisKey.name}" = temp."${node.sqlBatch.parentKey.name}"`
     ]
     if (node.where) {
       pagingWhereConditions.push(await node.where(`"${node.as}"`, node.args || {}, context, []))
     }
-    const tempTable = `FROM (VALUES ${batchScope.map(val => `(${val})`)}) temp("${node.sqlBatch.parentKey.name}")`
+    const tempTable = batchScopeTable(batchScope, node.sqlBatch.keyType, node.sqlBatch.parentKey.name, params)
     tables.push(tempTable)
     const lateralJoinCondition = `"${node.as}"."${node.sqlBatch.thisKey.name}" = temp."${node.sqlBatch.parentKey.name}"`
     if (node.sortKey) {
-      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect) // eslint-disable-line no-redeclare
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params) // eslint-disable-line no-redeclare
       pagingWhereConditions.push(whereAddendum)
       tables.push(keysetPagingSelect(node.name, pagingWhereConditions, orderColumns, limit, node.as, { joinCondition: lateralJoinCondition }))
     } else if (node.orderBy) {
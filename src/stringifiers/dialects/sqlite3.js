@@ -1,17 +1,134 @@
+import {
+  interpretForOffsetPaging,
+  interpretForKeysetPaging,
+  quotePrefix,
+  orderColumnsToString
+} from '../shared'
+
+import { filter, chunk } from 'lodash'
+
+
 function quote(str) {
   return `"${str}"`
 }
 
+// the most terms SQLite allows in one compound SELECT
+const MAX_COMPOUND_SELECT = 500
+
+// SQLite can't put an ORDER BY or LIMIT on the individual parts of a compound SELECT, so each one gets wrapped
+function joinUnions(unions, as) {
+  return `FROM (
+${unionAll(unions)}
+) ${quote(as)}`
+}
+
+// a batch with more parents than a compound SELECT can hold is split into groups, and the groups are unioned in turn
+function unionAll(unions) {
+  if (unions.length > MAX_COMPOUND_SELECT) {
+    return unionAll(chunk(unions, MAX_COMPOUND_SELECT).map(unionAll))
+  }
+  return unions.map(union => `SELECT * FROM (\n${union}\n)`).join('\nUNION ALL\n')
+}
+
+// there are no window functions, so the total is counted in a subquery with the same conditions
+function paginatedSelect(table, as, whereConditions, orderColumns, limit, offset, withTotal = false) {
+  whereConditions = filter(whereConditions).join(' AND ') || '1'
+  return `\
+  SELECT *${withTotal ? `, (SELECT count(*) FROM ${table} ${quote(as)} WHERE ${whereConditions}) AS ${quote('$total')}` : ''}
+  FROM ${table} ${quote(as)}
+  WHERE ${whereConditions}
+  ORDER BY ${orderColumnsToString(orderColumns, quote, as)}
+  LIMIT ${limit}${offset ? ' OFFSET ' + offset : ''}`
+}
 
-module.exports = {
+const dialect = module.exports = {
   ...require('./mixins/pagination-not-supported'),
 
-  name: 'mysql',
+  name: 'sqlite3',
+
+  // there's nothing to analyze. sqlite only describes the plan
+  explain(sql) {
+    return [ `EXPLAIN QUERY PLAN ${sql}` ]
+  },
 
   quote,
 
+  // the row values, like "(a, b) IN ((1, 2))", need version 3.15. they have to be in a VALUES table to be a list
+  rowValuesList(rows) {
+    return `VALUES ${rows.join(',')}`
+  },
+
+  placeholder() {
+    return '?'
+  },
+
   compositeKey(parent, keys) {
     keys = keys.map(key => `${quote(parent)}.${quote(key)}`)
     return keys.join(' || ')
+  },
+
+  handlePaginationAtRoot: async function(parent, node, prefix, context, selections, tables, wheres, orders, params) {
+    const pagingWhereConditions = []
+    if (node.where) {
+      pagingWhereConditions.push(await node.where(quote(node.as), node.args || {}, context, quotePrefix(prefix, quote)))
+    }
+    if (node.sortKey) {
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params) // eslint-disable-line no-redeclare
+      pagingWhereConditions.push(whereAddendum)
+      tables.push(`FROM (\n${paginatedSelect(node.name, node.as, pagingWhereConditions, orderColumns, limit)}\n) ${quote(node.as)}`)
+    } else if (node.orderBy) {
+      var { limit, offset, orderColumns } = interpretForOffsetPaging(node, dialect) // eslint-disable-line no-redeclare
+      tables.push(`FROM (\n${paginatedSelect(node.name, node.as, pagingWhereConditions, orderColumns, limit, offset, true)}\n) ${quote(node.as)}`)
+    }
+    orders.push({
+      table: node.as,
+      columns: orderColumns
+    })
+  },
+
+  handleBatchedOneToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, params) {
+    const pagingWhereConditions = []
+    if (node.where) {
+      pagingWhereConditions.push(await node.where(quote(node.as), node.args || {}, context, quotePrefix(prefix, quote)))
+    }
+    if (node.sortKey) {
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params) // eslint-disable-line no-redeclare
+      pagingWhereConditions.push(whereAddendum)
+    } else if (node.orderBy) {
+      var { limit, offset, orderColumns } = interpretForOffsetPaging(node, dialect) // eslint-disable-line no-redeclare
+    }
+    // one query for each key in the batch, so the limit applies to each parent separately
+    const unions = batchScope.map(val => {
+      const whereConditions = [ ...pagingWhereConditions, `${quote(node.as)}.${quote(node.sqlBatch.thisKey.name)} = ${params.add(val)}` ]
+      return paginatedSelect(node.name, node.as, whereConditions, orderColumns, limit, offset, !node.sortKey)
+    })
+    tables.push(joinUnions(unions, node.as))
+    orders.push({
+      table: node.as,
+      columns: orderColumns
+    })
+  },
+
+  handleBatchedManyToManyPaginated: async function(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, joinCondition, params) {
+    const pagingWhereConditions = []
+    if (node.where) {
+      pagingWhereConditions.push(await node.where(quote(node.as), node.args || {}, context, quotePrefix(prefix, quote)))
+    }
+    if (node.sortKey) {
+      var { limit, orderColumns, whereCondition: whereAddendum } = interpretForKeysetPaging(node, dialect, params) // eslint-disable-line no-redeclare
+      pagingWhereConditions.push(whereAddendum)
+    } else if (node.orderBy) {
+      var { limit, offset, orderColumns } = interpretForOffsetPaging(node, dialect) // eslint-disable-line no-redeclare
+    }
+    const unions = batchScope.map(val => {
+      const whereConditions = [ ...pagingWhereConditions, `${quote(node.junctionTableAs)}.${quote(node.junctionBatch.thisKey.name)} = ${params.add(val)}` ]
+      return paginatedSelect(node.junctionTable, node.junctionTableAs, whereConditions, orderColumns, limit, offset, !node.sortKey)
+    })
+    tables.push(joinUnions(unions, node.junctionTableAs))
+    tables.push(`LEFT JOIN ${node.name} ${quote(node.as)} ON ${joinCondition}`)
+    orders.push({
+      table: node.junctionTableAs,
+      columns: orderColumns
+    })
   }
 }
@@ -1,11 +1,12 @@
 import assert from 'assert'
-import { filter } from 'lodash'
-import { validateSqlAST, inspect } from '../util'
+import { filter, chunk } from 'lodash'
+import { validateSqlAST, inspect, paramCollector, wrap } from '../util'
 import {
   joinPrefix,
   quotePrefix,
   thisIsNotTheEndOfThisBatch,
   handleOrderBy,
+  filterToWhereCondition,
   whereConditionIsntSupposedToGoInsideSubqueryOrOnNextBatch
 } from './shared'
 
@@ -13,8 +14,10 @@ export default async function stringifySqlAST(topNode, context, options) {
   validateSqlAST(topNode)
 
   const dialect = require('./dialects/' + options.dialect)
+  // the values in the query are collected as the SQL is generated
+  const params = paramCollector(dialect, options.parameterize)
   // recursively figure out all the selections, joins, and where conditions that we need
-  let { selections, tables, wheres, orders } = await _stringifySqlAST(null, topNode, [], context, [], [], [], [], options.batchScope, dialect)
+  let { selections, tables, wheres, orders } = await _stringifySqlAST(null, topNode, [], context, [], [], [], [], options.batchScope, dialect, params)
 
   // make sure these are unique by converting to a set and then back to an array
   // e.g. we want to get rid of things like `SELECT user.id as id, user.id as id, ...`
@@ -22,7 +25,7 @@ export default async function stringifySqlAST(topNode, context, options) {
   selections = [ ...new Set(selections) ]
 
   // bail out if they made no selections 
-  if (!selections.length) return ''
+  if (!selections.length) return { sql: '' }
 
   // put together the SQL query
   let sql = 'SELECT\n  ' + 
@@ -38,35 +41,42 @@ export default async function stringifySqlAST(topNode, context, options) {
     sql += '\nORDER BY ' + stringifyOuterOrder(orders, dialect.quote)
   }
 
-  return sql
+  // swap in the placeholders for the values, if they asked for them
+  return params.bind(sql)
 }
 
-async function _stringifySqlAST(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, dialect) {
+async function _stringifySqlAST(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, dialect, params) {
   const { quote: q } = dialect
   switch(node.type) {
   case 'table':
-    await handleTable(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, dialect)
+    // a list aggregated to JSON is a single column on its parent's row, and everything beneath it goes in its subquery
+    if (node.jsonAgg && parent) {
+      await handleJsonAgg(parent, node, prefix, context, selections, dialect, params)
+      break
+    }
+    // the children get the node as it was selected from, e.g. with its grouped table and its filter in the "where"
+    const selectedNode = await handleTable(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, dialect, params)
 
     // recurse thru nodes
     if (thisIsNotTheEndOfThisBatch(node, parent)) {
       for (let child of node.children) {
-        await _stringifySqlAST(node, child, [ ...prefix, node.as ], context, selections, tables, wheres, orders, null, dialect)
+        await _stringifySqlAST(selectedNode, child, [ ...prefix, node.as ], context, selections, tables, wheres, orders, null, dialect, params)
       }
     }
 
     break
   case 'union':
-    await handleTable(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, dialect)
+    const selectedUnion = await handleTable(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, dialect, params)
 
     // recurse thru nodes
     if (thisIsNotTheEndOfThisBatch(node, parent)) {
       for (let typeName in node.typedChildren) {
         for (let child of node.typedChildren[typeName]) {
-          await _stringifySqlAST(node, child, [ ...prefix, node.as ], context, selections, tables, wheres, orders, null, dialect)
+          await _stringifySqlAST(selectedUnion, child, [ ...prefix, node.as ], context, selections, tables, wheres, orders, null, dialect, params)
         }
       }
       for (let child of node.children) {
-        await _stringifySqlAST(node, child, [ ...prefix, node.as ], context, selections, tables, wheres, orders, null, dialect)
+        await _stringifySqlAST(selectedUnion, child, [ ...prefix, node.as ], context, selections, tables, wheres, orders, null, dialect, params)
       }
     }
 
@@ -105,13 +115,35 @@ async function _stringifySqlAST(parent, node, prefix, context, selections, table
   return { selections, tables, wheres, orders }
 }
 
-async function handleTable(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, dialect) {
+async function handleTable(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, dialect, params) {
   const { quote: q } = dialect
+  // a grouped type selects from the grouped rows instead of the table
+  if (node.groupBy) {
+    node = { ...node, name: groupedTable(node.groupBy, q) }
+  }
+  // the filter from `sqlFilter` is combined with the `where` function, so it ends up wherever the `where` condition would
+  if (node.filter) {
+    node = { ...node, where: whereWithFilter(node, q, params) }
+  }
+
   // generate the "where" condition, if applicable
-  if (node.where && whereConditionIsntSupposedToGoInsideSubqueryOrOnNextBatch(node, parent)) {
+  if (node.where && whereConditionIsntSupposedToGoInsideSubqueryOrOnNextBatch(node, parent) && !(parent && node.whereInJoin)) {
     wheres.push(await node.where(`${q(node.as)}`, node.args || {}, context, quotePrefix(prefix, q)))
   }
 
+  // the aggregates for joined fields go on the parent's row. a field at the start of a batch puts them on each of its own rows
+  if (node.aggregates) {
+    const joined = parent && (node.sqlJoin || node.sqlJoins)
+    if (joined || thisIsNotTheEndOfThisBatch(node, parent)) {
+      const aliasPrefix = joinPrefix(joined ? prefix : [ ...prefix, node.as ])
+      for (let aggregate of node.aggregates) {
+        selections.push(
+          `${await aggregateSubquery(parent, node, aggregate, prefix, context, q)} AS ${q(aliasPrefix + aggregate.as)}`
+        )
+      }
+    }
+  }
+
   if (!node.paginate && node.orderBy && thisIsNotTheEndOfThisBatch(node, parent)) {
     orders.push({
       table: node.as,
@@ -121,11 +153,11 @@ async function handleTable(parent, node, prefix, context, selections, tables, wh
 
   // one-to-many using JOIN
   if (node.sqlJoin) {
-    const joinCondition = await node.sqlJoin(`${q(parent.as)}`, q(node.as), node.args || {}, context)
+    const joinCondition = await withWhereInJoin(node, await node.sqlJoin(`${q(parent.as)}`, q(node.as), node.args || {}, context), prefix, context, q)
 
     // do we need to paginate? if so this will be a lateral join
     if (node.paginate) {
-      await dialect.handleJoinedOneToManyPaginated(parent, node, prefix, context, selections, tables, wheres, orders, joinCondition)
+      await dialect.handleJoinedOneToManyPaginated(parent, node, prefix, context, selections, tables, wheres, orders, joinCondition, params)
 
     // otherwite, just a regular left join on the table
     } else {
@@ -138,12 +170,12 @@ async function handleTable(parent, node, prefix, context, selections, tables, wh
   } else if (node.junctionTable && node.junctionBatch) {
     if (parent) {
       selections.push(
-        `${q(parent.as)}.${q(node.junctionBatch.parentKey.name)} AS ${q(joinPrefix(prefix) + node.junctionBatch.parentKey.as)}`
+        ...wrap(node.junctionBatch.parentKey).map(key => `${q(parent.as)}.${q(key.name)} AS ${q(joinPrefix(prefix) + key.as)}`)
       )
     } else {
       const joinCondition = await node.junctionBatch.sqlJoin(`${q(node.junctionTableAs)}`, q(node.as), node.args || {}, context)
       if (node.paginate) {
-        await dialect.handleBatchedManyToManyPaginated(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, joinCondition)
+        await dialect.handleBatchedManyToManyPaginated(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, joinCondition, params)
 
       } else {
         tables.push(
@@ -151,7 +183,7 @@ async function handleTable(parent, node, prefix, context, selections, tables, wh
           `LEFT JOIN ${node.name} ${q(node.as)} ON ${joinCondition}`
         )
         // ensures only the correct records are fetched using the value of the parent key
-        wheres.push(`${q(node.junctionTableAs)}.${q(node.junctionBatch.thisKey.name)} IN (${batchScope.join(',')})`)
+        wheres.push(batchScopeCondition(q(node.junctionTableAs), node.junctionBatch, batchScope, dialect, params))
       }
     }
 
@@ -159,10 +191,10 @@ async function handleTable(parent, node, prefix, context, selections, tables, wh
   } else if (node.junctionTable) {
     assert(node.sqlJoins, 'Must set "sqlJoins" for a join table.')
     const joinCondition1 = await node.sqlJoins[0](`${q(parent.as)}`, q(node.junctionTableAs), node.args || {}, context)
-    const joinCondition2 = await node.sqlJoins[1](`${q(node.junctionTableAs)}`, q(node.as), node.args || {}, context)
+    const joinCondition2 = await withWhereInJoin(node, await node.sqlJoins[1](`${q(node.junctionTableAs)}`, q(node.as), node.args || {}, context), prefix, context, q)
 
     if (node.paginate) {
-      await dialect.handleJoinedManyToManyPaginated(parent, node, prefix, context, selections, tables, wheres, orders, joinCondition1)
+      await dialect.handleJoinedManyToManyPaginated(parent, node, prefix, context, selections, tables, wheres, orders, joinCondition1, params)
 
     } else {
       tables.push(
@@ -177,30 +209,148 @@ async function handleTable(parent, node, prefix, context, selections, tables, wh
   } else if (node.sqlBatch) {
     if (parent) {
       selections.push(
-        `${q(parent.as)}.${q(node.sqlBatch.parentKey.name)} AS ${q(joinPrefix(prefix) + node.sqlBatch.parentKey.as)}`
+        ...wrap(node.sqlBatch.parentKey).map(key => `${q(parent.as)}.${q(key.name)} AS ${q(joinPrefix(prefix) + key.as)}`)
       )
     } else {
       if (node.paginate) {
-        await dialect.handleBatchedOneToManyPaginated(parent, node, prefix, context, selections, tables, wheres, orders, batchScope)
+        await dialect.handleBatchedOneToManyPaginated(parent, node, prefix, context, selections, tables, wheres, orders, batchScope, params)
 
       } else {
         tables.push(
           `FROM ${node.name} ${q(node.as)}`
         )
-        wheres.push(`${q(node.as)}.${q(node.sqlBatch.thisKey.name)} IN (${batchScope.join(',')})`)
+        wheres.push(batchScopeCondition(q(node.as), node.sqlBatch, batchScope, dialect, params))
       }
     }
   // otherwise, we aren't joining, so we are at the "root", and this is the start of the FROM clause
   } else if (node.paginate) {
-    await dialect.handlePaginationAtRoot(parent, node, prefix, context, selections, tables, wheres, orders)
+    await dialect.handlePaginationAtRoot(parent, node, prefix, context, selections, tables, wheres, orders, params)
   } else {
     assert(!parent, `Object type for "${node.fieldName}" table must have a "sqlJoin" or "sqlBatch"`)
     tables.push(
       `FROM ${node.name} ${q(node.as)}`
     )
   }
+  return node
+}
+
+
+// a relation that gets joined instead of batched keeps its "where" in the join condition, so it doesn't filter out the parents.
+// a paginated one already has it in the subquery for its page
+async function withWhereInJoin(node, joinCondition, prefix, context, q) {
+  if (!node.whereInJoin || !node.where || node.paginate) return joinCondition
+  const whereCondition = await node.where(`${q(node.as)}`, node.args || {}, context, quotePrefix(prefix, q))
+  return whereCondition ? `${joinCondition} AND ${whereCondition}` : joinCondition
+}
+
+// the list is selected the same way as the start of a query, with its join condition in the WHERE.
+// its columns are named from the list down, so its rows can be hydrated on their own once they come back
+async function handleJsonAgg(parent, node, prefix, context, selections, dialect, params) {
+  const { quote: q } = dialect
+  const args = node.args || {}
+  const inner = { selections: [], tables: [], wheres: [], orders: [] }
+  const listNode = { ...node, sqlJoin: null, sqlJoins: null, junctionTable: null }
+  await handleTable(null, listNode, prefix, context, inner.selections, inner.tables, inner.wheres, inner.orders, null, dialect, params)
+
+  if (node.sqlJoin) {
+    inner.wheres.push(await node.sqlJoin(q(parent.as), q(node.as), args, context))
+  } else {
+    const junctionAs = q(node.junctionTableAs)
+    inner.tables.push(`JOIN ${node.junctionTable} ${junctionAs} ON ${await node.sqlJoins[1](junctionAs, q(node.as), args, context)}`)
+    inner.wheres.push(await node.sqlJoins[0](q(parent.as), junctionAs, args, context))
+  }
+
+  for (let child of node.children) {
+    await _stringifySqlAST(node, child, [ node.as ], context, inner.selections, inner.tables, inner.wheres, inner.orders, null, dialect, params)
+  }
+
+  const order = inner.orders.length ? stringifyOuterOrder(inner.orders, q) : null
+  const subquery = dialect.jsonAgg([ ...new Set(inner.selections) ], inner.tables, filter(inner.wheres), order)
+  selections.push(`${subquery} AS ${q(joinPrefix(prefix) + node.as)}`)
 }
 
+// ensures only the correct records are fetched using the values of the parent keys.
+// a dialect can do it with the type of the keys instead, so the SQL doesn't change with the number of them
+function batchScopeCondition(table, batch, batchScope, dialect, params) {
+  const { quote: q } = dialect
+  // with a composite key, each value in the batch scope is an array with the value for each column
+  if (Array.isArray(batch.thisKey)) {
+    const columns = batch.thisKey.map(key => `${table}.${q(key.name)}`)
+    const rows = batchScope.map(values => values.map(params.add))
+    // without row values, each parent gets its own condition
+    if (dialect.rowValues === false) {
+      return orConditions(rows.map(values => `(${columns.map((column, i) => `${column} = ${values[i]}`).join(' AND ')})`))
+    }
+    const list = rows.map(values => `(${values.join(',')})`)
+    return `(${columns.join(', ')}) IN (${dialect.rowValuesList ? dialect.rowValuesList(list) : list.join(',')})`
+  }
+  const column = `${table}.${q(batch.thisKey.name)}`
+  if (batch.keyType && dialect.batchScopeCondition) {
+    return dialect.batchScopeCondition(column, batchScope, batch.keyType, params)
+  }
+  return `${column} IN (${batchScope.map(params.add).join(',')})`
+}
+
+// a long chain of ORs gets nested as deep as it is long, which the database might not allow. grouping them keeps it shallow
+const OR_GROUP_SIZE = 100
+
+function orConditions(conditions) {
+  if (conditions.length <= OR_GROUP_SIZE) {
+    return `(${conditions.join(' OR ')})`
+  }
+  return orConditions(chunk(conditions, OR_GROUP_SIZE).map(group => `(${group.join(' OR ')})`))
+}
+
+// a correlated subquery over all the rows of the field, not just the ones on this page
+async function aggregateSubquery(parent, node, aggregate, prefix, context, q) {
+  const as = q(node.aggregateAs)
+  const args = node.args || {}
+  let from = `${node.name} ${as}`
+  const conditions = []
+  if (node.where) {
+    conditions.push(await node.where(as, args, context, quotePrefix(prefix, q)))
+  }
+
+  if (node.sqlJoin) {
+    conditions.push(await node.sqlJoin(q(parent.as), as, args, context))
+  } else if (node.junctionTable) {
+    const junctionAs = q(node.aggregateJunctionAs)
+    if (node.sqlJoins) {
+      from = `${node.junctionTable} ${junctionAs} JOIN ${from} ON ${await node.sqlJoins[1](junctionAs, as, args, context)}`
+      conditions.push(await node.sqlJoins[0](q(parent.as), junctionAs, args, context))
+    } else {
+      from = `${node.junctionTable} ${junctionAs} JOIN ${from} ON ${await node.junctionBatch.sqlJoin(junctionAs, as, args, context)}`
+      for (let key of wrap(node.junctionBatch.thisKey)) {
+        conditions.push(`${junctionAs}.${q(key.name)} = ${q(node.junctionTableAs)}.${q(key.name)}`)
+      }
+    }
+  } else if (node.sqlBatch) {
+    for (let key of wrap(node.sqlBatch.thisKey)) {
+      conditions.push(`${as}.${q(key.name)} = ${q(node.as)}.${q(key.name)}`)
+    }
+  }
+
+  const expression = aggregate.column ? `${aggregate.fn}(${as}.${q(aggregate.column)})` : 'count(*)'
+  return `(SELECT ${expression} FROM ${from} WHERE ${filter(conditions).join(' AND ') || '1 = 1'})`
+}
+
+// the grouped rows are a derived table, so the rest of the query can treat them like any other table
+function groupedTable(groupBy, q) {
+  const keys = groupBy.keys.map(key => q(key))
+  const aggregates = groupBy.aggregates.map(({ name, fn, column }) => `${fn}(${column ? q(column) : '*'}) AS ${q(name)}`)
+  return `(SELECT ${[ ...keys, ...aggregates ].join(', ')} FROM ${groupBy.table} GROUP BY ${keys.join(', ')})`
+}
+
+function whereWithFilter(node, q, params) {
+  const { where, filter: filterConditions } = node
+  return async (table, args, context, parentAliases) => {
+    const conditions = [ filterToWhereCondition(filterConditions, table, q, params) ]
+    if (where) {
+      conditions.push(await where(table, args, context, parentAliases))
+    }
+    return filter(conditions).join(' AND ')
+  }
+}
 
 // we need one ORDER BY clause on at the very end to make sure everything comes back in the correct order
 // ordering inner(sub) queries DOES NOT guarantee the order of those results in the outer query
@@ -1,7 +1,7 @@
 import util from 'util'
 import { filter } from 'lodash'
 import { cursorToOffset } from 'graphql-relay'
-import { wrap, cursorToObj, maybeQuote } from '../util'
+import { wrap, cursorToObj } from '../util'
 
 export function joinPrefix(prefix) {
   return prefix.slice(1).map(name => name + '__').join('')
@@ -24,7 +24,7 @@ export function thisIsTheEndOfThisBatch(node, parent) {
 }
 
 export function whereConditionIsntSupposedToGoInsideSubqueryOrOnNextBatch(node, parent) {
-  return !node.paginate && (!node.sqlBatch || !parent)
+  return !node.paginate && (!(node.sqlBatch || node.junctionBatch) || !parent)
 }
 
 export function keysetPagingSelect(table, whereCondition, orderColumns, limit, as, options = {}) {
@@ -77,6 +77,76 @@ FROM (
   }
 }
 
+// without LATERAL joins, the rows are numbered in a derived table instead. the numbering restarts for each value of
+// the `partitionBy` expressions (i.e. for each parent), and the caller keeps the rows in the page with the `pageCondition`
+export function rowNumberPagingSelect(table, as, options) {
+  const { q, from, partitionBy = [], orderColumns, limit, offset = 0, withTotal } = options
+  const whereCondition = filter(options.whereConditions).join(' AND ') || 'TRUE'
+  const partition = partitionBy.length ? `PARTITION BY ${partitionBy.join(', ')}` : ''
+  const order = `ORDER BY ${orderColumnsToString(orderColumns, q, as)}`
+  const columns = [
+    `${q(as)}.*`,
+    ...options.columns || [],
+    `ROW_NUMBER() OVER (${filter([ partition, order ]).join(' ')}) AS ${q('$rn')}`
+  ]
+  if (withTotal) {
+    columns.push(`count(*) OVER (${partition}) AS ${q('$total')}`)
+  }
+  const derivedTable = `(
+  SELECT ${columns.join(',\n    ')}
+  ${from || `FROM ${table} ${q(as)}`}
+  WHERE ${whereCondition}
+) ${q(as)}`
+  let pageCondition = `${q(as)}.${q('$rn')} > ${offset}`
+  // the limit is a string when they didn't ask for one
+  if (typeof limit === 'number') {
+    pageCondition += ` AND ${q(as)}.${q('$rn')} <= ${offset + limit}`
+  }
+  return { derivedTable, pageCondition }
+}
+
+// figure out the conditions, order, and page for a paginated child, whichever type of pagination they're using.
+// `as` is the alias of the table with the sort columns
+export async function interpretForRowNumberPaging(node, as, context, prefix, pagingWhereConditions, dialect, params) {
+  const { quote } = dialect
+  if (node.where) {
+    pagingWhereConditions.push(await node.where(quote(node.as), node.args || {}, context, quotePrefix(prefix, quote)))
+  }
+  if (node.sortKey) {
+    const { limit, orderColumns, whereCondition } = interpretForKeysetPaging(node, dialect, params, as)
+    pagingWhereConditions.push(whereCondition)
+    return { limit, orderColumns, whereConditions: pagingWhereConditions }
+  }
+  const { limit, offset, orderColumns } = interpretForOffsetPaging(node, dialect)
+  return { limit, offset, orderColumns, whereConditions: pagingWhereConditions, withTotal: true }
+}
+
+// the parent table is joined inside the derived table so the rows can be numbered for each parent.
+// the outer join matches them back up with the parent's unique key
+export async function rowNumberPagingJoin(parent, node, table, as, joinCondition, context, prefix, dialect, params) {
+  const { quote } = dialect
+  const parentKeys = wrap(parent.uniqueKey)
+  // the parent's "where" keeps the derived table to the parents in the outer query. further down the tree, it could
+  // refer to the tables above the parent, which aren't in the derived table, so those parents are numbered in full
+  const parentConditions = []
+  if (parent.where && prefix.length === 1) {
+    parentConditions.push(await parent.where(quote(parent.as), parent.args || {}, context, []))
+  }
+  const paging = await interpretForRowNumberPaging(node, as, context, prefix, parentConditions, dialect, params)
+  const { derivedTable, pageCondition } = rowNumberPagingSelect(table, as, {
+    ...paging,
+    q: quote,
+    from: `FROM ${parent.name} ${quote(parent.as)}\n  JOIN ${table} ${quote(as)} ON ${joinCondition}`,
+    columns: parentKeys.map(key => `${quote(parent.as)}.${quote(key)} AS ${quote('$parent_' + key)}`),
+    partitionBy: parentKeys.map(key => `${quote(parent.as)}.${quote(key)}`)
+  })
+  const keyConditions = parentKeys.map(key => `${quote(as)}.${quote('$parent_' + key)} = ${quote(parent.as)}.${quote(key)}`)
+  return {
+    join: `LEFT JOIN ${derivedTable} ON ${[ ...keyConditions, pageCondition ].join(' AND ')}`,
+    orderColumns: paging.orderColumns
+  }
+}
+
 export function orderColumnsToString(orderColumns, q, as) {
   const conditions = []
   for (let column in orderColumns) {
@@ -103,13 +173,52 @@ export function handleOrderBy(orderBy) {
   return orderColumns
 }
 
+// generate the SQL condition for the declarative filter from `sqlFilter`. the values are escaped or bound as parameters
+export function filterToWhereCondition(conditions, table, q, params) {
+  const sql = conditions.map(condition => {
+    switch (condition.type) {
+    case 'and':
+    case 'or':
+      const subConditions = condition.conditions.map(sub => filterToWhereCondition(sub, table, q, params))
+      return `(${subConditions.join(` ${condition.type.toUpperCase()} `)})`
+    case 'not':
+      return `NOT ${filterToWhereCondition(condition.conditions, table, q, params)}`
+    case 'comparison':
+      return comparisonToSQL(`${table}.${q(condition.column)}`, condition.operator, condition.value, params)
+    default:
+      throw new Error('unknown filter condition: ' + util.inspect(condition))
+    }
+  })
+  return sql.length ? `(${sql.join(' AND ')})` : '(1 = 1)'
+}
+
+function comparisonToSQL(column, operator, value, params) {
+  switch (operator) {
+  case 'eq':
+    return value == null ? `${column} IS NULL` : `${column} = ${params.add(value)}`
+  case 'ne':
+    return value == null ? `${column} IS NOT NULL` : `${column} <> ${params.add(value)}`
+  case 'lt':
+    return `${column} < ${params.add(value)}`
+  case 'gt':
+    return `${column} > ${params.add(value)}`
+  case 'like':
+    return `${column} LIKE ${params.add(value)}`
+  case 'in':
+    // an empty list can never match
+    return value.length ? `${column} IN (${value.map(params.add).join(', ')})` : '1 = 0'
+  case 'isNull':
+    return value ? `${column} IS NULL` : `${column} IS NOT NULL`
+  }
+}
+
 // find out what the limit, offset, order by parts should be from the relay connection args if we're paginating
 export function interpretForOffsetPaging(node, dialect) {
   const { name } = dialect
   if (node.args && node.args.last) {
     throw new Error('Backward pagination not supported with offsets. Consider using keyset pagination instead')
   }
-  let limit = [ 'mariadb', 'mysql', 'oracle' ].includes(name) ? '18446744073709551615' : 'ALL'
+  let limit = noLimit(name)
   const orderColumns = handleOrderBy(node.orderBy)
   let offset = 0
   if (node.args && node.args.first) {
@@ -122,7 +231,15 @@ export function interpretForOffsetPaging(node, dialect) {
   return { limit, offset, orderColumns }
 }
 
-export function interpretForKeysetPaging(node, dialect) {
+// what to use for the limit when they didn't ask for one
+function noLimit(dialectName) {
+  if ([ 'mariadb', 'mysql', 'oracle' ].includes(dialectName)) return '18446744073709551615'
+  if (dialectName === 'sqlite3') return -1
+  return 'ALL'
+}
+
+// `as` qualifies the columns in the cursor condition. it's needed when other tables are in the same FROM clause
+export function interpretForKeysetPaging(node, dialect, params, as) {
   const { name } = dialect
   const orderColumns = {}
   let descending = node.sortKey.order.toUpperCase() === 'DESC'
@@ -134,14 +251,14 @@ export function interpretForKeysetPaging(node, dialect) {
     orderColumns[column] = descending ? 'DESC' : 'ASC'
   }
 
-  let limit = [ 'mariadb', 'mysql', 'oracle' ].includes(name) ? '18446744073709551615' : 'ALL'
+  let limit = noLimit(name)
   let whereCondition = ''
   if (node.args && node.args.first) {
     limit = parseInt(node.args.first) + 1
     if (node.args.after) {
       const cursorObj = cursorToObj(node.args.after)
       validateCursor(cursorObj, wrap(node.sortKey.key))
-      whereCondition = sortKeyToWhereCondition(cursorObj, descending, dialect)
+      whereCondition = sortKeyToWhereCondition(cursorObj, descending, dialect, params, as)
     }
     if (node.args.before) {
       throw new Error('Using "before" with "first" is nonsensical.')
@@ -151,7 +268,7 @@ export function interpretForKeysetPaging(node, dialect) {
     if (node.args.before) {
       const cursorObj = cursorToObj(node.args.before)
       validateCursor(cursorObj, wrap(node.sortKey.key))
-      whereCondition = sortKeyToWhereCondition(cursorObj, descending, dialect)
+      whereCondition = sortKeyToWhereCondition(cursorObj, descending, dialect, params, as)
     }
     if (node.args.after) {
       throw new Error('Using "after" with "last" is nonsensical.')
@@ -179,20 +296,29 @@ export function validateCursor(cursorObj, expectedKeys) {
 }
 
 // take the sort key and translate that for the where clause
-function sortKeyToWhereCondition(keyObj, descending, dialect) {
+function sortKeyToWhereCondition(keyObj, descending, dialect, params, as) {
   const { name, quote: q } = dialect
   const sortColumns = []
   const sortValues = []
   for (let key in keyObj) {
-    sortColumns.push(`${q(key)}`)
-    sortValues.push(maybeQuote(keyObj[key], name))
+    sortColumns.push(`${as ? q(as) + '.' : ''}${q(key)}`)
+    sortValues.push(params.add(cursorValue(keyObj[key], name)))
   }
   const operator = descending ? '<' : '>'
-  return name === 'oracle' ?
+  // these don't support comparing row values, so expand it into a series of ORs
+  return [ 'oracle', 'mssql' ].includes(name) ?
     recursiveWhereJoin(sortColumns, sortValues, operator) :
     `(${sortColumns.join(', ')}) ${operator} (${sortValues.join(', ')})`
 }
 
+// the dates in a cursor are ISO strings. oracle won't compare those to its timestamps, so they go back to being dates
+function cursorValue(value, dialectName) {
+  if (dialectName === 'oracle' && typeof value === 'string' && /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d+Z$/.test(value)) {
+    return new Date(value)
+  }
+  return value
+}
+
 function recursiveWhereJoin(columns, values, op) {
   const condition = `${columns.pop()} ${op} ${values.pop()}`
   return _recursiveWhereJoin(columns, values, op, condition)
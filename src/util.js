@@ -1,12 +1,14 @@
 import util from 'util'
+import crypto from 'crypto'
 import assert from 'assert'
+import { chunk, flatten } from 'lodash'
 import { nest } from 'nesthydrationjs'
 import stringifySQL from './stringifiers/dispatcher'
 import resolveUnions from './resolve-unions'
 import deprecate from 'deprecate'
 const debug = require('debug')('join-monster')
 
-import defineObjectShape from './define-object-shape'
+import defineObjectShape, { defineJsonListShape } from './define-object-shape'
 
 export function emphasize(str, colorCode = 33) {
   return `\n\x1b[1;${colorCode}m${str}\x1b[0m\n`
@@ -46,10 +48,18 @@ export function cursorToObj(cursor) {
 // wrap in a pair of single quotes for the SQL if needed
 export function maybeQuote(value, dialectName) {
   if (typeof value === 'number') return value
+  if (typeof value === 'boolean') return dialectName === 'pg' ? String(value).toUpperCase() : Number(value)
   if (value && typeof value.toSQL === 'function') return value.toSQL()
+  if (Array.isArray(value)) return `ARRAY[${value.map(item => maybeQuote(item, dialectName)).join(', ')}]`
+  if (value instanceof Date) {
+    return dialectName === 'oracle' ?
+      value.toISOString().replace(/^(\d{4}-\d\d-\d\d)T(\d\d:\d\d:\d\d\.\d+)Z$/, "TIMESTAMP '$1 $2 UTC'") : // eslint-disable-line quotes
+      maybeQuote(value.toISOString(), dialectName)
+  }
 
-  if (dialectName === 'oracle' && value.match(/\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d(.\d+)?Z?/)) {
-    return value.replace(/(\d{4}-\d\d-\d\d)T(\d\d:\d\d:\d\d)(.\d+)?Z?/, "TIMESTAMP '$1 $2$3 UTC'") // eslint-disable-line quotes
+  // backslashes are not special in SQL Server. the N prefix makes it a unicode string
+  if (dialectName === 'mssql') {
+    return `N'${value.replace(/'/g, '\'\'')}'`
   }
 
   // Picked from https://github.com/brianc/node-postgres/blob/876018/lib/client.js#L235..L260
@@ -78,69 +88,306 @@ export function maybeQuote(value, dialectName) {
   return escaped
 }
 
-export function buildWhereFunction(type, condition, options) {
-  if (typeof condition === 'function') {
-    return condition
-  // otherwise, we'll assume they gave us the value(s) of the unique key.
-  } else {
-    // determine the type of quotes necessary to escape the uniqueKey column
-    const quote = [ 'mysql', 'mariadb' ].includes(options.dialect) ? '`' : '"'
+// values that come from the user or the database are not written directly into the SQL. each query has a collector,
+// and `add` gives back what goes in the value's place: the escaped literal, or a token when they asked for bound parameters.
+// the tokens become the dialect's placeholders once the whole query is put together, since some drivers bind them by position.
+// a token has a random part that's new for each query, so nothing else in the SQL can be mistaken for one
+export function paramCollector(dialect, parameterize) {
+  const values = []
+  const nonce = crypto.randomBytes(8).toString('hex')
+  return {
+    add(value) {
+      if (value && typeof value.toSQL === 'function') return value.toSQL()
+      // numbers are safe to inline. they are left in the SQL to avoid problems with the types of parameters
+      if (typeof value === 'number') return value
+      if (!parameterize) return maybeQuote(value, dialect.name)
+      values.push(value)
+      return `{{jm:${nonce}:${values.length - 1}}}`
+    },
+
+    // swap out the tokens for the placeholders, numbered in the order they appear
+    bind(sql) {
+      if (!parameterize) return { sql }
+      const params = []
+      sql = sql.replace(new RegExp(`\\{\\{jm:${nonce}:(\\d+)\\}\\}`, 'g'), (match, index) => {
+        params.push(values[index])
+        return dialect.placeholder(params.length)
+      })
+      return { sql, params }
+    }
+  }
+}
+
+// the values of the batch scope as a single array parameter, so the SQL is the same for any number of keys.
+// the plan from `explain` has a placeholder instead of the values, which stands in for the whole array
+export function arrayParam(batchScope, params) {
+  const isPlaceholder = value => value && typeof value.toSQL === 'function'
+  if (batchScope.length === 1 && isPlaceholder(batchScope[0])) {
+    return batchScope[0].toSQL()
+  }
+  // the array is passed to the database as it is, so it can only hold the values of the keys
+  assert(!batchScope.some(isPlaceholder), 'The keys of a batch with a "keyType" are passed as one array, so they can\'t be placeholders in the SQL.')
+  return params.add(batchScope)
+}
+
+// the condition on the unique key for `getNode`, as a filter like the ones from `sqlFilter`
+export function buildKeyFilter(type, condition) {
+  // determine the unique key so we know what to search by
+  const uniqueKey = type._typeConfig.uniqueKey || type._typeConfig.sqlGroupBy
+
+  // handle composite keys
+  if (Array.isArray(uniqueKey)) {
+    // it must have a corresponding array of values
+    assert.equal(condition.length, uniqueKey.length, `The unique key for the "${type.name}" type is a composite. You must provide an array of values for each column.`)
+    return uniqueKey.map((column, i) => ({ type: 'comparison', column, operator: 'eq', value: condition[i] }))
+  }
+  // single keys are simple
+  return [ { type: 'comparison', column: uniqueKey, operator: 'eq', value: condition } ]
+}
+
+// handles the different callback signatures and return values.
+// the "meta" describes which batch this is for the hooks in the options
+export async function handleUserDbCall(dbCall, sql, params, sqlAST, shapeDefinition, context, options = {}, meta = {}) {
+  const [ data ] = await handleBatches(dbCall, [ { sql, params, sqlAST, shapeDefinition, meta } ], context, options)
+  return data
+}
+
+// fetch and hydrate several queries that can go to the database at the same time, like the batches of sibling fields.
+// with the "combineBatches" option, the ones that aren't in the cache are all sent in a single call
+export async function handleBatches(dbCall, batches, context, options = {}) {
+  const cache = options.cache && getCache(context)
+  const toSend = []
+  for (let batch of batches) {
+    batch.meta = { path: batch.sqlAST.fieldName, depth: 0, parentKeyCount: 0, ...batch.meta, params: batch.params }
+    batch.cacheKey = cache && batch.sql + '\n' + JSON.stringify(batch.params || null)
+    // the same query was already sent in this request. no need for the hooks that measure the query
+    if (cache && cache.has(batch.cacheKey)) {
+      batch.cachedRows = cache.get(batch.cacheKey)
+      debug('reusing the rows from the cache')
+    } else {
+      toSend.push(batch)
+    }
+  }
 
-    // determine the unique key so we know what to search by
-    const uniqueKey = type._typeConfig.uniqueKey
+  for (let batch of toSend) {
+    if (options.explain) {
+      await explainQuery(dbCall, batch.sql, batch.params, batch.sqlAST, options)
+    }
+    if (options.beforeQuery) {
+      await options.beforeQuery(batch.sql, batch.meta)
+    }
+  }
+  const sent = sendBatches(dbCall, toSend, options)
+  toSend.forEach((batch, i) => {
+    batch.sent = sent[i]
+    // the first error is thrown below. the rest would be unhandled
+    batch.sent.catch(() => {})
+    // cache the promise so the identical queries running at the same time share it
+    if (cache) {
+      const rows = batch.sent.then(result => result.rows)
+      cache.set(batch.cacheKey, rows)
+      rows.catch(() => cache.delete(batch.cacheKey))
+    }
+  })
 
-    // handle composite keys
-    if (Array.isArray(uniqueKey)) {
-      // it must have a corresponding array of values
-      assert.equal(condition.length, uniqueKey.length, `The unique key for the "${type.name}" type is a composite. You must provide an array of values for each column.`)
-      return table => uniqueKey.map((key, i) => `${table}.${quote}${key}${quote} = ${maybeQuote(condition[i])}`).join(' AND ')
-    // single keys are simple
+  const results = []
+  for (let batch of batches) {
+    let rows
+    if (batch.sent) {
+      const { rows: sentRows, duration } = await batch.sent
+      rows = sentRows
+      if (options.afterQuery) {
+        await options.afterQuery(rows, batch.meta, duration)
+      }
     } else {
-      return table => `${table}.${quote}${uniqueKey}${quote} = ${maybeQuote(condition)}`
+      rows = await batch.cachedRows
     }
+    results.push(await hydrate(rows, batch, options))
   }
+  return results
 }
 
-// handles the different callback signatures and return values.
-export function handleUserDbCall(dbCall, sql, sqlAST, shapeDefinition) {
-  // if there are two args, we're in "callback mode"
-  if (dbCall.length === 2) {
+// each query gets a promise of its rows and how long it took to get them
+function sendBatches(dbCall, batches, options) {
+  if (batches.length > 1 && options.combineBatches) {
+    // no more than "batchesPerCall" queries go in each call, and the calls go one after another
+    const groups = options.batchesPerCall ? chunk(batches, options.batchesPerCall) : [ batches ]
+    let previous = Promise.resolve()
+    return flatten(groups.map(group => {
+      const combined = previous.then(() => group.length > 1 ? sendCombined(dbCall, group, options) : Promise.all(sendBatches(dbCall, group, options)))
+      previous = combined.catch(() => {})
+      return group.map((batch, i) => combined.then(results => results[i]))
+    }))
+  }
+  return batches.map(batch => {
+    const start = process.hrtime()
+    // the bound parameters are only passed if they asked for a parameterized query
+    const args = batch.params ? [ batch.sql, batch.params ] : [ batch.sql ]
+    return callDb(dbCall, args, options).then(rows => ({ rows: validate(rows), duration: elapsed(start) }))
+  })
+}
+
+// several queries in one call, either through their function or as one multi-statement string through "dbCall"
+function sendCombined(dbCall, batches, options) {
+  const start = process.hrtime()
+  const statements = batches.map(({ sql, params }) => params ? { sql, params } : { sql })
+  const name = typeof options.combineBatches === 'function' ? '"combineBatches"' : '"dbCall" with "combineBatches"'
+  const sent = typeof options.combineBatches === 'function' ?
+    Promise.resolve(options.combineBatches(statements)) :
+    callDb(dbCall, multiStatement(statements, options.dialect), options)
+  return sent.then(results => {
+    assert(Array.isArray(results) && results.length === batches.length, `${name} must return (a promise of) an array with the rows for each of the ${batches.length} queries.`)
+    const duration = elapsed(start)
+    return results.map(rows => ({ rows: validate(rows), duration }))
+  })
+}
+
+// the statements are separated with semicolons. their values can only be put together for the dialects that don't number
+// the placeholders, and even then the driver has to accept parameters on several statements
+function multiStatement(statements, dialectName) {
+  const sql = statements.map(statement => statement.sql).join(';\n')
+  if (!statements[0].params) return [ sql ]
+  const dialect = require('./stringifiers/dialects/' + dialectName)
+  assert(dialect.placeholder(1) === dialect.placeholder(2), `The ${dialect.name} dialect numbers its placeholders, so its parameterized queries can't be joined into one statement. Pass a function as the "combineBatches" option to send them instead.`)
+  return [ sql, flatten(statements.map(statement => statement.params)) ]
+}
+
+function elapsed(start) {
+  const [ seconds, nanoseconds ] = process.hrtime(start)
+  return seconds * 1e3 + nanoseconds / 1e6
+}
+
+async function hydrate(rows, { sqlAST, shapeDefinition, meta }, options) {
+  debug(emphasize('RAW_DATA'), inspect(rows.slice(0, 8)))
+  debug(`${rows.length} rows...`)
+  // hydrate the data
+  // take that shape definition we produced and pass it to the NestHydrationJS library
+  const data = nest(rows, shapeDefinition)
+  if (options.jsonAggregation) {
+    nestJsonLists(data, sqlAST)
+  }
+  resolveUnions(data, sqlAST)
+  hideAggregates(data, sqlAST)
+  debug(emphasize('SHAPED_DATA'), inspect(data))
+  if (options.onHydrated) {
+    await options.onHydrated(data, meta)
+  }
+  return data
+}
+
+// the aggregates stay on the rows until they're moved to their connections. they're hidden from the hooks until then.
+// at the start of a query they're on every row, and a joined field has them on the row of its parent
+function hideAggregates(data, sqlAST, isStart = true) {
+  if (!data) return
+  for (let obj of wrap(data)) {
+    if (!obj) continue
+    const aggregates = isStart ? [ ...sqlAST.aggregates || [] ] : []
+    for (let child of sqlAST.children) {
+      if (child.type !== 'table' && child.type !== 'union') continue
+      if (child.sqlBatch || child.junctionBatch) continue
+      aggregates.push(...child.aggregates || [])
+      hideAggregates(obj[child.fieldName], child, false)
+    }
+    for (let { fieldName } of aggregates) {
+      if (fieldName in obj) {
+        Object.defineProperty(obj, fieldName, { enumerable: false })
+      }
+    }
+  }
+}
+
+// the lists aggregated to JSON come back as arrays of rows, which are hydrated the same way as the rows of a query
+function nestJsonLists(data, sqlAST, nested = new WeakSet) {
+  if (!data) return
+  const children = sqlAST.children.map(child => [ child, child.fieldName ])
+  for (let typeName in sqlAST.typedChildren || {}) {
+    children.push(...sqlAST.typedChildren[typeName].map(child => [ child, child.fieldName + '@' + typeName ]))
+  }
+  for (let [ child, key ] of children) {
+    if (child.type !== 'table' && child.type !== 'union') continue
+    if (child.sqlBatch || child.junctionBatch) continue
+    const shapeDefinition = child.jsonAgg && defineJsonListShape(child)
+    for (let obj of wrap(data)) {
+      if (!obj) continue
+      // the same object can be reached more than once when the rows share a unique key
+      if (child.jsonAgg && !nested.has(obj[key])) {
+        // the driver might not parse the JSON for us
+        const listRows = typeof obj[key] === 'string' ? JSON.parse(obj[key]) : obj[key]
+        obj[key] = nest(listRows || [], shapeDefinition) || []
+        nested.add(obj[key])
+      }
+      nestJsonLists(obj[key], child, nested)
+    }
+  }
+}
+
+// the rows of each query are kept on the context, which usually lasts for one request.
+// the property can't be enumerated, so it stays out of the way of whatever else they do with the context
+const cacheKey = Symbol('join-monster cache')
+
+function getCache(context) {
+  assert(context && typeof context === 'object', 'The "cache" option needs a context object to keep the results on.')
+  if (!context[cacheKey]) {
+    assert(Object.isExtensible(context), 'The "cache" option needs a context object that the results can be added to.')
+    Object.defineProperty(context, cacheKey, { value: new Map, configurable: true, writable: true })
+  }
+  return context[cacheKey]
+}
+
+export function clearCache(context) {
+  if (context && context[cacheKey]) {
+    context[cacheKey] = new Map
+  }
+}
+
+function callDb(dbCall, args, options) {
+  // the "callbackMode" option says which it is. without it, an extra parameter for "done" means "callback mode".
+  // that's `(sql, done)`, or `(sql, params, done)` with parameterized queries
+  const callbackMode = options.callbackMode == null ? dbCall.length === args.length + 1 : options.callbackMode
+  if (callbackMode) {
     // wrap it in a promise
     return new Promise((resolve, reject) => {
       // wait for them to call "done"
-      dbCall(sql, (err, rows) => {
+      dbCall(...args, (err, rows) => {
         if (err) {
           reject(err)
         } else {
-          rows = validate(rows)
-          debug(emphasize('RAW_DATA'), inspect(rows.slice(0, 8)))
-          debug(`${rows.length} rows...`)
-          const data = nest(rows, shapeDefinition)
-          resolveUnions(data, sqlAST)
-          debug(emphasize('SHAPED_DATA', inspect(data)))
-          resolve(data)
+          resolve(rows)
         }
       })
     })
   }
 
   // otherwise, we are expecting a promise of the data
-  const result = dbCall(sql)
-  if (typeof result.then === 'function') {
-    return result.then(rows => {
-      rows = validate(rows)
-      debug(emphasize('RAW DATA'), inspect(rows.slice(0, 8)))
-      debug(`${rows.length} rows...`)
-      // hydrate the data
-      // take that shape definition we produced and pass it to the NestHydrationJS library
-      const data = nest(rows, shapeDefinition)
-      resolveUnions(data, sqlAST)
-      debug(emphasize('SHAPED_DATA'), inspect(data))
-      return data
-    })
-  } else {
+  const result = dbCall(...args)
+  if (!result || typeof result.then !== 'function') {
     throw new Error('must return a promise of the data or use the callback')
   }
+  return result
+}
+
+// send the dialect's EXPLAIN for the query through their function and hand them the result
+async function explainQuery(dbCall, sql, params, sqlAST, options) {
+  assert.equal(typeof options.onExplain, 'function', 'The "explain" option needs an "onExplain" function to pass the plans to.')
+  const dialect = require('./stringifiers/dialects/' + options.dialect)
+  if (!dialect.explain) {
+    throw new Error(`The ${dialect.name} dialect does not support the "explain" option.`)
+  }
+  const statements = dialect.explain(sql, options.explain === 'analyze')
+  let plan
+  for (let i = 0; i < statements.length; i++) {
+    // only the statement with the query needs the parameters
+    const args = params ? [ statements[i], i === 0 ? params : [] ] : [ statements[i] ]
+    plan = validate(await callDb(dbCall, args, options))
+  }
+  debug(emphasize('EXPLAIN'), inspect(plan))
+  await options.onExplain({
+    fieldName: sqlAST.fieldName,
+    sql,
+    params,
+    statements,
+    plan
+  })
 }
 
 // validate the data they gave us
@@ -163,12 +410,21 @@ export async function compileSqlAST(sqlAST, context, options) {
     deprecate('dialect "standard" is deprecated, because there is no true implementation of the SQL standard', '"sqlite3" is the default')
     options.dialect = 'sqlite3'
   }
-  const sql = await stringifySQL(sqlAST, context, options)
+  if (options.jsonAggregation) {
+    const dialect = require('./stringifiers/dialects/' + options.dialect)
+    if (!dialect.jsonAgg) {
+      throw new Error(`The ${dialect.name} dialect does not support the "jsonAggregation" option.`)
+    }
+  }
+  const { sql, params } = await stringifySQL(sqlAST, context, options)
   debug(emphasize('SQL'), sql)
+  if (params) {
+    debug(emphasize('PARAMS'), inspect(params))
+  }
 
   // figure out the shape of the object and define it so later we can pass it to NestHydration library so it can hydrate the data
   const shapeDefinition = defineObjectShape(sqlAST)
   debug(emphasize('SHAPE_DEFINITION'), inspect(shapeDefinition))
-  return { sql, shapeDefinition }
+  return { sql, params, shapeDefinition }
 }
 
@@ -0,0 +1,180 @@
+import { AGGREGATE_FUNCTIONS } from './query-ast-to-sql-ast'
+import notSupported from './stringifiers/dialects/mixins/pagination-not-supported'
+
+const TABLE_TYPES = [ 'GraphQLObjectType', 'GraphQLUnionType', 'GraphQLInterfaceType' ]
+
+// go through every type and field once and collect all the problems with the metadata.
+// these would otherwise only show up when a query happens to reach them
+export default function validateSchema(schema, options = {}) {
+  let dialectName = options.dialect || 'sqlite3'
+  if (dialectName === 'standard') dialectName = 'sqlite3'
+  let dialect
+  try {
+    dialect = require('./stringifiers/dialects/' + dialectName)
+  } catch (err) {
+    throw new Error(`Unknown dialect "${dialectName}".`)
+  }
+
+  const problems = []
+  const report = (path, message) => problems.push({ path, message })
+
+  const typeMap = schema.getTypeMap()
+  for (let typeName in typeMap) {
+    const type = typeMap[typeName]
+    if (/^__/.test(typeName) || !TABLE_TYPES.includes(type.constructor.name)) continue
+    const config = type._typeConfig || {}
+    if (config.sqlTable && !config.uniqueKey && !config.sqlGroupBy) {
+      report(typeName, 'must have a "uniqueKey" because it has a "sqlTable"')
+    }
+    if (typeof type.getFields === 'function') {
+      const fields = type.getFields()
+      for (let fieldName in fields) {
+        validateField(type, fields[fieldName], dialect, (message) => report(`${typeName}.${fieldName}`, message))
+      }
+    }
+  }
+
+  if (problems.length) {
+    const list = problems.map(({ path, message }) => `  ${path}: ${message}`).join('\n')
+    const err = new Error(`The schema has ${problems.length} problem${problems.length > 1 ? 's' : ''} for Join Monster:\n${list}`)
+    err.problems = problems
+    throw err
+  }
+}
+
+function validateField(parentType, field, dialect, report) {
+  if (field.jmIgnoreAll) return
+
+  // find the type at the end of the lists and connections, same as when the query is handled
+  let gqlType = stripNonNullType(field.type)
+  if (gqlType.constructor.name === 'GraphQLList') {
+    gqlType = stripNonNullType(gqlType.ofType)
+  }
+  const isConnection = gqlType.constructor.name === 'GraphQLObjectType' && gqlType._fields.edges && gqlType._fields.pageInfo
+  if (isConnection) {
+    gqlType = stripNonNullType(gqlType._fields.edges.type.ofType._fields.node.type)
+  }
+
+  const parentIsTable = !!parentType._typeConfig.sqlTable
+  const isTable = !field.jmIgnoreTable && TABLE_TYPES.includes(gqlType.constructor.name) && !!gqlType._typeConfig.sqlTable
+
+  if (isTable) {
+    if (parentIsTable && !field.sqlJoin && !field.sqlBatch && !field.sqlRelation && !field.junctionTable && !field.joinTable) {
+      report(`must have "sqlJoin", "sqlBatch", "sqlRelation", or "junctionTable" to fetch the ${gqlType.name} table from the ${parentType.name} table. Or ignore it with "jmIgnoreTable"`)
+    }
+    if (!parentIsTable && field.sqlJoin) {
+      report('can not have "sqlJoin" because it is at the root')
+    }
+  }
+
+  const junctionTable = field.junctionTable || field.joinTable
+  if (junctionTable) {
+    if (!field.sqlJoins && !field.junctionBatch && !field.sqlRelation) {
+      report('must have "sqlJoins", "junctionBatch", or "sqlRelation" because it has a "junctionTable"')
+    }
+    if (field.sqlJoins && (!Array.isArray(field.sqlJoins) || field.sqlJoins.length !== 2)) {
+      report('"sqlJoins" must be an array of two functions')
+    }
+    if (field.junctionBatch) {
+      for (let key of [ 'thisKey', 'parentKey', 'sqlJoin' ]) {
+        if (!field.junctionBatch[key]) {
+          report(`"junctionBatch" must have "${key}"`)
+        }
+      }
+      if (!field.junctionTableKey) {
+        report('must have "junctionTableKey" because it has a "junctionBatch"')
+      }
+    }
+  }
+
+  if (field.sqlBatch) {
+    for (let key of [ 'thisKey', 'parentKey' ]) {
+      if (!field.sqlBatch[key]) {
+        report(`"sqlBatch" must have "${key}"`)
+      }
+    }
+  }
+
+  if (field.sqlRelation && !field.sqlJoin && !field.sqlBatch && !field.sqlJoins && !field.junctionBatch) {
+    const keys = junctionTable ? [ 'thisKey', 'parentKey', 'junctionKey', 'childKey' ] : [ 'thisKey', 'parentKey' ]
+    for (let key of keys) {
+      if (!field.sqlRelation[key]) {
+        report(`"sqlRelation" must have "${key}"`)
+      }
+    }
+  }
+
+  if (field.sqlPaginate) {
+    if (!isConnection) {
+      report(`can not have "sqlPaginate" because the ${field.type} type is not a connection with "edges" and "pageInfo"`)
+    } else if (!dialectSupportsPaging(dialect, field, junctionTable)) {
+      report(`the ${dialect.name} dialect does not support pagination on ${describeFetch(field, junctionTable)}`)
+    }
+    if (!field.sortKey && !field.orderBy) {
+      report('must have "sortKey" or "orderBy" because it has "sqlPaginate"')
+    }
+  }
+
+  if (field.sortKey && typeof field.sortKey !== 'function') {
+    for (let key of [ 'key', 'order' ]) {
+      if (!field.sortKey[key]) {
+        report(`"sortKey" must have "${key}"`)
+      }
+    }
+  }
+
+  if (field.sqlAggregates) {
+    if (!isConnection) {
+      report('can only have "sqlAggregates" on a connection')
+    }
+    for (let name in field.sqlAggregates) {
+      validateAggregate(field.sqlAggregates[name], message => report(`"${name}" in "sqlAggregates" ${message}`))
+    }
+  }
+
+  if (field.sqlAggregate) {
+    if (!parentType._typeConfig.sqlGroupBy) {
+      report(`can not have "sqlAggregate" because the ${parentType.name} type has no "sqlGroupBy"`)
+    }
+    validateAggregate(field.sqlAggregate, message => report(`"sqlAggregate" ${message}`))
+  }
+
+  if (typeof field.sqlFilter === 'string' && !(field.args || []).find(arg => arg.name === field.sqlFilter)) {
+    report(`"sqlFilter" refers to the "${field.sqlFilter}" argument, which the field does not have`)
+  }
+}
+
+function validateAggregate({ fn, column }, report) {
+  if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+    report(`has an unknown function "${fn}". Valid functions are ${AGGREGATE_FUNCTIONS.join(', ')}`)
+  } else if (fn !== 'count' && !column) {
+    report(`must have a "column" for "${fn}"`)
+  }
+}
+
+// the dialects leave out the hooks for the kinds of pagination they can't do, or they use the mixin that throws
+function dialectSupportsPaging(dialect, field, junctionTable) {
+  const hook = pagingHook(field, junctionTable)
+  return typeof dialect[hook] === 'function' && dialect[hook] !== notSupported[hook]
+}
+
+// a paginated "sqlRelation" is always batched
+function pagingHook(field, junctionTable) {
+  if (field.sqlJoin) return 'handleJoinedOneToManyPaginated'
+  if (junctionTable && (field.junctionBatch || field.sqlRelation && !field.sqlJoins)) return 'handleBatchedManyToManyPaginated'
+  if (junctionTable) return 'handleJoinedManyToManyPaginated'
+  if (field.sqlBatch || field.sqlRelation) return 'handleBatchedOneToManyPaginated'
+  return 'handlePaginationAtRoot'
+}
+
+function describeFetch(field, junctionTable) {
+  if (field.sqlJoin) return 'a one-to-many "sqlJoin"'
+  if (junctionTable && (field.junctionBatch || field.sqlRelation && !field.sqlJoins)) return 'a many-to-many batch'
+  if (junctionTable) return 'a many-to-many join with "sqlJoins"'
+  if (field.sqlBatch || field.sqlRelation) return 'a one-to-many batch'
+  return 'a root field'
+}
+
+function stripNonNullType(type) {
+  return type.constructor.name === 'GraphQLNonNull' ? type.ofType : type
+}
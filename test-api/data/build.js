@@ -10,6 +10,7 @@ assert(process.env.PG_URL, 'Environment variable PG_URL must be defined, e.g. "p
 
   console.log('building sqlite3')
   await require('./setup/test1')('sqlite3')
+  await require('./setup/test2')('sqlite3')
   await require('./setup/demo')('sqlite3')
 
   console.log('building mysql')
@@ -1,8 +1,15 @@
-
 module.exports = function dbCall(sql, knex, context) {
-  if (context) {
+  // the tests can collect the SQL on the context. otherwise it's the koa context, which sends it back in a header
+  if (context && context.queries) {
+    context.queries.push(sql)
+  } else if (context && context.set) {
     context.set('X-SQL-Preview', context.response.get('X-SQL-Preview') + '%0A%0A' + sql.replace(/%/g, '%25').replace(/\n/g, '%0A'))
   }
+  // the statements joined by "combineBatches" can't all be run at once by every database, so they're split up again
+  const statements = sql.split(';\n')
+  if (statements.length > 1) {
+    return Promise.all(statements.map(statement => dbCall(statement, knex)))
+  }
   return knex.raw(sql).then(result => {
     if (knex.client.config.client === 'mysql') {
       return result[0]
@@ -10,4 +17,3 @@ module.exports = function dbCall(sql, knex, context) {
     return result
   })
 }
-
@@ -0,0 +1,25 @@
+import {
+  GraphQLObjectType,
+  GraphQLInt,
+  GraphQLBoolean
+} from 'graphql'
+
+import { q } from '../shared'
+
+const { DB } = process.env
+
+export default new GraphQLObjectType({
+  description: 'The comments of each author, grouped by whether they are archived',
+  name: 'ArchiveStats',
+  sqlTable: q('comments', DB),
+  sqlGroupBy: [ 'author_id', 'archived' ],
+  fields: {
+    archived: {
+      type: GraphQLBoolean
+    },
+    numComments: {
+      type: GraphQLInt,
+      sqlAggregate: { fn: 'count' }
+    }
+  }
+})
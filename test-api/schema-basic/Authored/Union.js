@@ -32,6 +32,10 @@ export default new GraphQLUnionType({
   uniqueKey: [ 'id', '$type' ],
   types: () => [ Comment, Post ],
   alwaysFetch: '$type',
-  resolveType: obj => obj.$type
+  // the tests can collect the info of each call on the context
+  resolveType: (obj, context, resolveInfo) => {
+    if (context && context.resolveInfos) context.resolveInfos.push(resolveInfo)
+    return obj.$type
+  }
 })
 
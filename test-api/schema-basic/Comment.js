@@ -6,6 +6,10 @@ import {
   GraphQLBoolean
 } from 'graphql'
 
+import {
+  connectionDefinitions
+} from 'graphql-relay'
+
 import Post from './Post'
 import User from './User'
 import { q } from '../shared'
@@ -13,7 +17,7 @@ import Authored from './Authored/Interface'
 
 const { STRATEGY, DB } = process.env
 
-export default new GraphQLObjectType({
+const Comment = new GraphQLObjectType({
   description: 'Comments on posts',
   name: 'Comment',
   sqlTable: q('comments', DB),
@@ -62,6 +66,29 @@ export default new GraphQLObjectType({
         (likesTable, userTable) => `${likesTable}.${q('account_id', DB)} = ${userTable}.${q('id', DB)}`
       ]
     },
+    batchedLikers: {
+      description: 'Which users have liked this comment, fetched in a batch',
+      type: new GraphQLList(User),
+      orderBy: 'id',
+      junctionTable: q('likes', DB),
+      junctionTableKey: [ 'account_id', 'comment_id' ],
+      junctionBatch: {
+        thisKey: 'comment_id',
+        parentKey: 'id',
+        sqlJoin: (likesTable, userTable) => `${likesTable}.${q('account_id', DB)} = ${userTable}.${q('id', DB)}`
+      }
+    },
+    authorByRelation: {
+      description: 'The user who wrote the comment, joined or batched depending on the query',
+      type: User,
+      sqlRelation: { thisKey: 'id', parentKey: 'author_id' }
+    },
+    related: {
+      description: 'The comments by the same author',
+      type: new GraphQLList(Comment),
+      orderBy: 'id',
+      sqlBatch: { thisKey: 'author_id', parentKey: 'author_id' }
+    },
     archived: {
       type: GraphQLBoolean
     },
@@ -73,3 +100,15 @@ export default new GraphQLObjectType({
   })
 })
 
+// the fields for the aggregates of the comments
+const { connectionType: CommentConnection } = connectionDefinitions({
+  nodeType: Comment,
+  connectionFields: {
+    total: { type: GraphQLInt },
+    lastId: { type: GraphQLInt }
+  }
+})
+export { CommentConnection }
+
+export default Comment
+
@@ -0,0 +1,30 @@
+import {
+  GraphQLObjectType,
+  GraphQLInt
+} from 'graphql'
+
+import { q } from '../shared'
+
+const { DB } = process.env
+
+export default new GraphQLObjectType({
+  description: 'The comments of each author, grouped into one row',
+  name: 'CommentStats',
+  sqlTable: q('comments', DB),
+  sqlGroupBy: 'author_id',
+  fields: {
+    authorId: {
+      type: GraphQLInt,
+      sqlColumn: 'author_id'
+    },
+    numComments: {
+      description: 'How many comments the author wrote',
+      type: GraphQLInt,
+      sqlAggregate: { fn: 'count' }
+    },
+    lastCommentId: {
+      type: GraphQLInt,
+      sqlAggregate: { fn: 'max', column: 'id' }
+    }
+  }
+})
@@ -0,0 +1,35 @@
+import {
+  GraphQLInputObjectType,
+  GraphQLList,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLBoolean
+} from 'graphql'
+
+// input types for the `sqlFilter` grammar. each one holds the comparisons for a column of that type
+function comparisonType(name, type, operators) {
+  const fields = {}
+  for (let operator of operators) {
+    fields[operator] = { type: operator === 'in' ? new GraphQLList(type) : type }
+  }
+  fields.isNull = { type: GraphQLBoolean }
+  return new GraphQLInputObjectType({ name, fields })
+}
+
+export const IntFilter = comparisonType('IntFilter', GraphQLInt, [ 'eq', 'ne', 'in', 'lt', 'gt' ])
+export const StringFilter = comparisonType('StringFilter', GraphQLString, [ 'eq', 'ne', 'in', 'like' ])
+export const BooleanFilter = comparisonType('BooleanFilter', GraphQLBoolean, [ 'eq', 'ne' ])
+
+// an input type with the combinators for filtering on the listed fields of an object type
+export function filterType(name, columns) {
+  const FilterType = new GraphQLInputObjectType({
+    name,
+    fields: () => ({
+      ...columns,
+      and: { type: new GraphQLList(FilterType) },
+      or: { type: new GraphQLList(FilterType) },
+      not: { type: FilterType }
+    })
+  })
+  return FilterType
+}
@@ -6,14 +6,19 @@ import {
   GraphQLBoolean
 } from 'graphql'
 
+import {
+  forwardConnectionArgs,
+  connectionDefinitions
+} from 'graphql-relay'
+
 import User from './User'
-import Comment from './Comment'
+import Comment, { CommentConnection } from './Comment'
 import { q, bool } from '../shared'
 import Authored from './Authored/Interface'
 
 const { STRATEGY, DB } = process.env
 
-export default new GraphQLObjectType({
+const Post = new GraphQLObjectType({
   description: 'A post from a user',
   name: 'Post',
   sqlTable: q('posts', DB),
@@ -55,6 +60,56 @@ export default new GraphQLObjectType({
           where: (table, args) => args.active ? `${table}.${q('archived', DB)} = ${bool(false, DB)}` : null } :
         { sqlJoin: (postTable, commentTable, args) => `${commentTable}.${q('post_id', DB)} = ${postTable}.${q('id', DB)} ${args.active ? `AND ${commentTable}.${q('archived', DB)} = ${bool(false, DB)}` : ''}` },
     },
+    related: {
+      description: 'The comments on this post, fetched in a batch',
+      type: new GraphQLList(Comment),
+      orderBy: 'id',
+      sqlBatch: {
+        thisKey: 'post_id',
+        parentKey: 'id'
+      }
+    },
+    commentsByRelation: {
+      description: 'The comments on this post, joined or batched depending on the query',
+      type: new GraphQLList(Comment),
+      orderBy: 'id',
+      sqlRelation: { thisKey: 'post_id', parentKey: 'id' }
+    },
+    // the comments are matched to the post on both of its columns, so these are the ones the author left on their own post
+    authorComments: {
+      type: new GraphQLList(Comment),
+      orderBy: 'id',
+      sqlBatch: {
+        thisKey: [ 'post_id', 'author_id' ],
+        parentKey: [ 'id', 'author_id' ]
+      }
+    },
+    authorCommentsByRelation: {
+      type: new GraphQLList(Comment),
+      orderBy: 'id',
+      sqlRelation: { thisKey: [ 'post_id', 'author_id' ], parentKey: [ 'id', 'author_id' ] }
+    },
+    authorCommentConnection: {
+      type: CommentConnection,
+      args: forwardConnectionArgs,
+      sqlPaginate: true,
+      orderBy: 'id',
+      sqlBatch: {
+        thisKey: [ 'post_id', 'author_id' ],
+        parentKey: [ 'id', 'author_id' ]
+      }
+    },
+    selfCommenters: {
+      description: 'The author, if they commented on their own post',
+      type: new GraphQLList(User),
+      junctionTable: q('comments', DB),
+      junctionTableKey: 'id',
+      junctionBatch: {
+        thisKey: [ 'post_id', 'author_id' ],
+        parentKey: [ 'id', 'author_id' ],
+        sqlJoin: (commentTable, userTable) => `${commentTable}.${q('author_id', DB)} = ${userTable}.${q('id', DB)}`
+      }
+    },
     numComments: {
       description: 'How many comments this post has',
       type: GraphQLInt,
@@ -67,3 +122,7 @@ export default new GraphQLObjectType({
   })
 })
 
+const { connectionType: PostConnection } = connectionDefinitions({ nodeType: Post })
+export { PostConnection }
+
+export default Post
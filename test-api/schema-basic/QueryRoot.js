@@ -6,10 +6,16 @@ import {
   GraphQLBoolean
 } from 'graphql'
 
+import {
+  connectionArgs
+} from 'graphql-relay'
+
 import knex from './database'
 import dbCall from '../data/fetch'
 
-import User from './User'
+import User, { UserFilter, UserConnection } from './User'
+import Post from './Post'
+import CommentStats from './CommentStats'
 import Sponsor from './Sponsor'
 import { fromBase64, q } from '../shared'
 
@@ -27,6 +33,23 @@ if (knex.client.config.client === 'mysql') {
   options.dialect = 'oracle'
 }
 
+// the tests can pass more options on the context, ask for the plan instead of the data,
+// or give the rows for the database to pretend it returned
+async function resolve(parent, args, context, resolveInfo) {
+  const queryOptions = { ...options, ...context && context.options }
+  if (context && context.explain) {
+    context.plan = await joinMonster.explain(resolveInfo, context, queryOptions)
+    return null
+  }
+  if (context && context.rows) {
+    return joinMonster(resolveInfo, context, (sql, params) => {
+      context.queries.push(sql)
+      if (context.params) context.params.push(params)
+      return Promise.resolve(context.rows.shift() || [])
+    }, { ...queryOptions, callbackMode: false })
+  }
+  return joinMonster(resolveInfo, context, sql => dbCall(sql, knex, context), queryOptions)
+}
 
 export default new GraphQLObjectType({
   description: 'global query object',
@@ -43,13 +66,24 @@ export default new GraphQLObjectType({
     users: {
       type: new GraphQLList(User),
       args: {
-        ids: { type: new GraphQLList(GraphQLInt) }
+        ids: { type: new GraphQLList(GraphQLInt) },
+        filter: { type: UserFilter }
       },
       where: (table, args) => args.ids ? `${table}.id IN (${args.ids.join(',')})` : null,
+      sqlFilter: 'filter',
       orderBy: 'id',
-      resolve: async (parent, args, context, resolveInfo) => {
-        return joinMonster(resolveInfo, context, sql => dbCall(sql, knex, context), options)
-      }
+      estimatedRows: args => args.ids ? args.ids.length : 3,
+      resolve
+    },
+    userConnection: {
+      type: UserConnection,
+      args: connectionArgs,
+      sqlAggregates: {
+        total: { fn: 'count' },
+        totalLegs: { fn: 'sum', column: 'num_legs' }
+      },
+      orderBy: 'id',
+      resolve
     },
     user: {
       type: User,
@@ -72,9 +106,33 @@ export default new GraphQLObjectType({
         if (args.idEncoded) return `${usersTable}.${q('id', DB)} = ${fromBase64(args.idEncoded)}`
         if (args.idAsync) return Promise.resolve(`${usersTable}.${q('id', DB)} = ${args.idAsync}`)
       },
-      resolve: (parent, args, context, resolveInfo) => {
-        return joinMonster(resolveInfo, context, sql => dbCall(sql, knex, context), options)
-      }
+      resolve
+    },
+    posts: {
+      type: new GraphQLList(Post),
+      orderBy: 'id',
+      resolve
+    },
+    post: {
+      type: Post,
+      args: {
+        id: { type: GraphQLInt }
+      },
+      where: (postsTable, args) => `${postsTable}.${q('id', DB)} = ${args.id}`,
+      resolve
+    },
+    commentStats: {
+      type: new GraphQLList(CommentStats),
+      args: {
+        minComments: {
+          description: 'Only the authors with at least this many comments',
+          type: GraphQLInt
+        }
+      },
+      orderBy: 'author_id',
+      // the aggregates can be referred to by the names of their fields
+      where: (statsTable, args) => args.minComments ? `${statsTable}.${q('numComments', DB)} >= ${args.minComments}` : null,
+      resolve
     },
     sponsors: {
       type: new GraphQLList(Sponsor),
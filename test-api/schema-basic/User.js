@@ -8,14 +8,20 @@ import {
 } from 'graphql'
 
 import {
-  globalIdField
+  globalIdField,
+  connectionArgs,
+  connectionDefinitions,
+  connectionFromArray
 } from 'graphql-relay'
 
-import Comment from './Comment'
-import Post from './Post'
+import Comment, { CommentConnection } from './Comment'
+import Post, { PostConnection } from './Post'
+import CommentStats from './CommentStats'
+import ArchiveStats from './ArchiveStats'
 import Person from './Person'
 import AuthoredInterface from './Authored/Interface'
 import AuthoredUnion from './Authored/Union'
+import { IntFilter, StringFilter, BooleanFilter, filterType } from './Filter'
 import { toBase64, q, bool } from '../shared'
 
 const { STRATEGY, DB } = process.env
@@ -80,9 +86,11 @@ const User = new GraphQLObjectType({
         active: {
           description: 'Get only posts not archived',
           type: GraphQLBoolean
-        }
+        },
+        filter: { type: PostFilter }
       },
       where: (table, args) => args.active ? `${table}.${q('archived', DB)} = ${bool(false, DB)}` : null,
+      sqlFilter: 'filter',
       orderBy: { body: 'desc' },
       ...STRATEGY === 'batch' ?
         { sqlBatch:
@@ -93,6 +101,10 @@ const User = new GraphQLObjectType({
     following: {
       description: 'Users that this user is following',
       type: new GraphQLList(User),
+      args: {
+        filter: { type: UserFilter }
+      },
+      sqlFilter: 'filter',
       junctionTable: q('relationships', DB),
       orderBy: 'first_name',
       ...[ 'batch', 'mix' ].includes(STRATEGY) ?
@@ -137,8 +149,196 @@ const User = new GraphQLObjectType({
           { thisKey: 'author_id',
             parentKey: 'id' } } :
         { sqlJoin: (userTable, unionTable) => `${userTable}.${q('id', DB)} = ${unionTable}.${q('author_id', DB)}` }
+    },
+    firstPost: {
+      type: AuthoredUnion,
+      sqlJoin: (userTable, unionTable) => `${userTable}.${q('id', DB)} = ${unionTable}.${q('author_id', DB)} AND ${unionTable}.${q('$type', DB)} = 'Post'`
+    },
+    // these are always fetched in batches, whatever the STRATEGY
+    batchedPosts: {
+      type: new GraphQLList(Post),
+      orderBy: 'id',
+      sqlBatch: {
+        thisKey: 'author_id',
+        parentKey: 'id'
+      }
+    },
+    batchedComments: {
+      type: new GraphQLList(Comment),
+      args: {
+        active: { type: GraphQLBoolean }
+      },
+      orderBy: 'id',
+      where: (table, args) => args.active ? `${table}.${q('archived', DB)} = ${bool(false, DB)}` : null,
+      sqlBatch: {
+        thisKey: 'author_id',
+        parentKey: 'id'
+      }
+    },
+    batchedFollowing: {
+      type: new GraphQLList(User),
+      orderBy: 'id',
+      junctionTable: q('relationships', DB),
+      junctionTableKey: [ 'follower_id', 'followee_id' ],
+      junctionBatch: {
+        thisKey: 'follower_id',
+        parentKey: 'id',
+        sqlJoin: (relationTable, followeeTable) => `${relationTable}.${q('followee_id', DB)} = ${followeeTable}.${q('id', DB)}`
+      }
+    },
+    // and these are joined or batched depending on the rest of the query
+    postsByRelation: {
+      type: new GraphQLList(Post),
+      orderBy: 'id',
+      estimatedRows: 2,
+      sqlRelation: { thisKey: 'author_id', parentKey: 'id' }
+    },
+    commentsByRelation: {
+      type: new GraphQLList(Comment),
+      args: {
+        active: { type: GraphQLBoolean }
+      },
+      orderBy: 'id',
+      where: (table, args) => args.active ? `${table}.${q('archived', DB)} = ${bool(false, DB)}` : null,
+      sqlRelation: { thisKey: 'author_id', parentKey: 'id' }
+    },
+    laterPosts: {
+      description: 'The posts with a higher ID than their author\'s, which needs the table of the user',
+      type: new GraphQLList(Post),
+      orderBy: 'id',
+      where: (table, args, context, parentAliases) => `${table}.${q('id', DB)} > ${parentAliases[parentAliases.length - 1]}.${q('id', DB)}`,
+      sqlRelation: { thisKey: 'author_id', parentKey: 'id' }
+    },
+    manyComments: {
+      type: new GraphQLList(Comment),
+      orderBy: 'id',
+      estimatedRows: 1000,
+      sqlRelation: { thisKey: 'author_id', parentKey: 'id' }
+    },
+    postConnection: {
+      type: PostConnection,
+      args: connectionArgs,
+      sqlPaginate: true,
+      orderBy: 'id',
+      sqlRelation: { thisKey: 'author_id', parentKey: 'id' }
+    },
+    followingByRelation: {
+      type: new GraphQLList(User),
+      orderBy: 'id',
+      junctionTable: q('relationships', DB),
+      junctionTableKey: [ 'follower_id', 'followee_id' ],
+      sqlRelation: { thisKey: 'follower_id', parentKey: 'id', junctionKey: 'followee_id', childKey: 'id' }
+    },
+    // these have resolvers of their own, which get the data for their alias
+    newestComments: {
+      type: new GraphQLList(Comment),
+      args: {
+        active: { type: GraphQLBoolean }
+      },
+      orderBy: 'id',
+      sqlJoin: activeCommentsJoin,
+      resolve: user => user.newestComments.slice().reverse()
+    },
+    pagedComments: {
+      description: 'The comments, paged in the application',
+      type: CommentConnection,
+      args: {
+        active: { type: GraphQLBoolean },
+        ...connectionArgs
+      },
+      orderBy: 'id',
+      sqlJoin: activeCommentsJoin,
+      resolve: (user, args) => connectionFromArray(user.pagedComments, args)
+    },
+    commentConnection: {
+      type: CommentConnection,
+      args: {
+        active: { type: GraphQLBoolean },
+        ...connectionArgs
+      },
+      sqlAggregates: {
+        total: { fn: 'count' },
+        lastId: { fn: 'max', column: 'id' }
+      },
+      orderBy: 'id',
+      ...[ 'batch', 'mix' ].includes(STRATEGY) ?
+        { sqlBatch:
+          { thisKey: 'author_id',
+            parentKey: 'id' },
+          where: (table, args) => args.active ? `${table}.${q('archived', DB)} = ${bool(false, DB)}` : null } :
+        { sqlJoin: activeCommentsJoin }
+    },
+    followingConnection: {
+      type: UserConnection,
+      args: connectionArgs,
+      sqlAggregates: {
+        total: { fn: 'count' }
+      },
+      junctionTable: q('relationships', DB),
+      orderBy: 'id',
+      ...[ 'batch', 'mix' ].includes(STRATEGY) ?
+        { junctionTableKey: [ 'follower_id', 'followee_id' ],
+          junctionBatch:
+            { thisKey: 'follower_id',
+              parentKey: 'id',
+              sqlJoin: (relationTable, followeeTable) => `${relationTable}.${q('followee_id', DB)} = ${followeeTable}.${q('id', DB)}` } } :
+        { sqlJoins:
+          [ (followerTable, relationTable) => `${followerTable}.${q('id', DB)} = ${relationTable}.${q('follower_id', DB)}`,
+            (relationTable, followeeTable) => `${relationTable}.${q('followee_id', DB)} = ${followeeTable}.${q('id', DB)}` ] },
+    },
+    commentStats: {
+      type: CommentStats,
+      ...[ 'batch', 'mix' ].includes(STRATEGY) ?
+        { sqlBatch:
+          { thisKey: 'author_id',
+            parentKey: 'id' } } :
+        { sqlJoin: (userTable, statsTable) => `${statsTable}.${q('author_id', DB)} = ${userTable}.${q('id', DB)}` }
+    },
+    archiveStats: {
+      type: new GraphQLList(ArchiveStats),
+      orderBy: 'archived',
+      ...[ 'batch', 'mix' ].includes(STRATEGY) ?
+        { sqlBatch:
+          { thisKey: 'author_id',
+            parentKey: 'id' } } :
+        { sqlJoin: (userTable, statsTable) => `${statsTable}.${q('author_id', DB)} = ${userTable}.${q('id', DB)}` }
+    },
+    propertyNames: {
+      description: 'All the properties on the object, even the ones that can\'t be enumerated',
+      type: new GraphQLList(GraphQLString),
+      resolve: user => Object.getOwnPropertyNames(user)
     }
   })
 })
 
+// a "where" on a joined table would leave out the users without any active comments, so this goes in the join instead
+function activeCommentsJoin(userTable, commentTable, args) {
+  return `${commentTable}.${q('author_id', DB)} = ${userTable}.${q('id', DB)}` +
+    (args.active ? ` AND ${commentTable}.${q('archived', DB)} = ${bool(false, DB)}` : '')
+}
+
+// the fields for the aggregates of the users
+const { connectionType: UserConnection } = connectionDefinitions({
+  nodeType: User,
+  connectionFields: {
+    total: { type: GraphQLInt },
+    totalLegs: { type: GraphQLInt }
+  }
+})
+export { UserConnection }
+
+const PostFilter = filterType('PostFilter', {
+  id: { type: IntFilter },
+  body: { type: StringFilter },
+  archived: { type: BooleanFilter }
+})
+
+export const UserFilter = filterType('UserFilter', {
+  id: { type: IntFilter },
+  email: { type: StringFilter },
+  numLegs: { type: IntFilter },
+  // not a column. filtering on this should be an error
+  numFeet: { type: IntFilter }
+})
+
 export default User 
@@ -2,8 +2,10 @@ import { GraphQLSchema } from 'graphql'
 
 import QueryRoot from './QueryRoot'
 
-export default new GraphQLSchema({
+import joinMonster from '../../src/index'
+
+// each alias of a table field gets its own data
+export default joinMonster.resolveAliases(new GraphQLSchema({
   description: 'a test schema',
   query: QueryRoot
-})
-
+}))
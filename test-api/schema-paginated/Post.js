@@ -105,7 +105,7 @@ export const Post = new GraphQLObjectType({
 })
 
 const connectionConfig = { nodeType: Post }
-if (PAGINATE === 'offset') {
+if (PAGINATE) {
   connectionConfig.connectionFields = {
     total: { type: GraphQLInt }
   }
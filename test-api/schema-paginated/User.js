@@ -108,7 +108,11 @@ const User = new GraphQLObjectType({
             sortKey: args => ({ // eslint-disable-line no-unused-vars
               order: 'desc',
               key: [ 'created_at', 'id' ]
-            })
+            }),
+            // keyset paging has no "$total", but it can be aggregated
+            sqlAggregates: {
+              total: { fn: 'count' }
+            }
           })
         } else {
           ({
@@ -11,7 +11,7 @@ const connection = process.env.NODE_ENV !== 'test' ?
       mysqlUrl(process.env.PAGINATE ? 'test2': 'test1') :
       dbType === 'ORACLE' ?
         oracleUrl(process.env.PAGINATE ? 'test2': 'test1') :
-        { filename: path.join(__dirname, '../data/db/test1-data.sl3') }
+        { filename: path.join(__dirname, `../data/db/${process.env.PAGINATE ? 'test2' : 'test1'}-data.sl3`) }
 
 let client = 'sqlite3'
 if (process.env.NODE_ENV !== 'test') {
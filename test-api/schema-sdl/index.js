@@ -0,0 +1,65 @@
+import { buildSchema } from 'graphql'
+
+import knex from '../schema-basic/database'
+import dbCall from '../data/fetch'
+import { q } from '../shared'
+
+import joinMonster from '../../src/index'
+
+const { MINIFY, STRATEGY, DB } = process.env
+const batch = [ 'batch', 'mix' ].includes(STRATEGY)
+const options = {
+  minify: MINIFY == 1
+}
+if (knex.client.config.client === 'mysql') {
+  options.dialect = 'mysql'
+} else if (knex.client.config.client === 'pg') {
+  options.dialect = 'pg'
+} else if (knex.client.config.client === 'oracledb') {
+  options.dialect = 'oracle'
+}
+
+const typeDefs = `
+${joinMonster.directiveDefinitions}
+
+type Comment @sqlTable(name: ${JSON.stringify(q('comments', DB))}, uniqueKey: "id") {
+  id: Int
+  body: String
+}
+
+type User @sqlTable(name: ${JSON.stringify(q('accounts', DB))}, uniqueKey: ["id"]) {
+  id: Int
+  email: String @sqlColumn(name: "email_address")
+  fullName: String @sqlDeps(names: ["first_name", "last_name"])
+  comments: [Comment] @orderBy(columns: ["id"]) ${batch ?
+    '@sqlBatch(thisKey: "author_id", parentKey: "id")' :
+    '@sqlJoin(fn: "commentsOfUser")'}
+  following: [User] @orderBy(columns: "id", direction: "DESC") ${batch ?
+    `@junctionTable(name: ${JSON.stringify(q('relationships', DB))}, uniqueKey: ["follower_id", "followee_id"])
+     @junctionBatch(thisKey: "follower_id", parentKey: "id", sqlJoin: "followees")` :
+    `@junctionTable(name: ${JSON.stringify(q('relationships', DB))}, sqlJoins: ["followers", "followees"])`}
+}
+
+type Query {
+  users: [User] @orderBy(columns: ["id"])
+  user(id: Int!): User @where(fn: "byId")
+}
+`
+
+export const registry = {
+  commentsOfUser: (userTable, commentTable) => `${commentTable}.${q('author_id', DB)} = ${userTable}.${q('id', DB)}`,
+  followers: (followerTable, relationTable) => `${followerTable}.${q('id', DB)} = ${relationTable}.${q('follower_id', DB)}`,
+  followees: (relationTable, followeeTable) => `${relationTable}.${q('followee_id', DB)} = ${followeeTable}.${q('id', DB)}`,
+  byId: (table, args) => `${table}.${q('id', DB)} = ${args.id}`
+}
+
+const schema = joinMonster.applyDirectives(buildSchema(typeDefs), registry)
+// the resolvers are still up to the schema-first tooling
+const resolve = (parent, args, context, resolveInfo) => {
+  return joinMonster(resolveInfo, context, sql => dbCall(sql, knex, context), options)
+}
+schema.getQueryType().getFields().users.resolve = resolve
+schema.getQueryType().getFields().user.resolve = resolve
+schema.getType('User').getFields().fullName.resolve = user => `${user.first_name} ${user.last_name}`
+
+export default schema
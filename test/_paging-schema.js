@@ -0,0 +1,225 @@
+import {
+  graphql,
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLList
+} from 'graphql'
+import {
+  connectionArgs,
+  forwardConnectionArgs,
+  connectionDefinitions,
+  offsetToCursor
+} from 'graphql-relay'
+import { objToCursor } from '../src/util'
+import joinMonster from '../src/index'
+
+// a schema with every kind of paginated field, for checking the SQL of dialects we can't run the tests against.
+// the `dbCall` records the SQL so it can be compared to the snapshots.
+// when there is a `db` to run them against, the queries after the root one are sent to it
+export function makeSchema(dialect, queries, parameterize, { rootRows, db } = {}) {
+  const options = { dialect, parameterize }
+  const { quote: q } = require('../src/stringifiers/dialects/' + dialect)
+  // the root query finds one user, so that the batches have something to fetch
+  let rows = [ rootRows || [ { id: 1, $total: 1 } ] ]
+  const dbCall = (...args) => {
+    const [ sql, params ] = args
+    queries.push(params ? { sql, params } : sql)
+    if (db && !rows.length) return db.raw(sql, params || [])
+    return Promise.resolve(rows.shift() || [])
+  }
+
+  const Comment = new GraphQLObjectType({
+    name: 'Comment',
+    sqlTable: 'comments',
+    uniqueKey: 'id',
+    fields: {
+      id: { type: GraphQLInt },
+      body: { type: GraphQLString }
+    }
+  })
+  const { connectionType: CommentConnection } = connectionDefinitions({ nodeType: Comment })
+
+  const User = new GraphQLObjectType({
+    name: 'User',
+    sqlTable: 'accounts',
+    uniqueKey: 'id',
+    fields: () => ({
+      id: { type: GraphQLInt },
+      fullName: {
+        type: GraphQLString,
+        sqlDeps: [ 'first_name', 'last_name' ],
+        resolve: user => `${user.first_name} ${user.last_name}`
+      },
+      comments: {
+        type: CommentConnection,
+        args: connectionArgs,
+        sqlPaginate: true,
+        sortKey: {
+          order: 'desc',
+          key: [ 'created_at', 'id' ]
+        },
+        sqlJoin: (userTable, commentTable) => `${userTable}.${q('id')} = ${commentTable}.${q('author_id')}`
+      },
+      batchedComments: {
+        type: CommentConnection,
+        args: forwardConnectionArgs,
+        sqlPaginate: true,
+        orderBy: 'id',
+        sqlBatch: {
+          thisKey: 'author_id',
+          parentKey: 'id'
+        }
+      },
+      following: {
+        type: UserConnection,
+        args: forwardConnectionArgs,
+        sqlPaginate: true,
+        orderBy: 'created_at',
+        junctionTable: 'relationships',
+        sqlJoins: [
+          (followerTable, junctionTable) => `${followerTable}.${q('id')} = ${junctionTable}.${q('follower_id')}`,
+          (junctionTable, followeeTable) => `${junctionTable}.${q('followee_id')} = ${followeeTable}.${q('id')}`
+        ]
+      },
+      followers: {
+        type: UserConnection,
+        args: connectionArgs,
+        sqlPaginate: true,
+        sortKey: {
+          order: 'asc',
+          key: 'follower_id'
+        },
+        junctionTable: 'relationships',
+        junctionTableKey: [ 'follower_id', 'followee_id' ],
+        junctionBatch: {
+          thisKey: 'followee_id',
+          parentKey: 'id',
+          sqlJoin: (junctionTable, followerTable) => `${junctionTable}.${q('follower_id')} = ${followerTable}.${q('id')}`
+        }
+      }
+    })
+  })
+  const { connectionType: UserConnection } = connectionDefinitions({ nodeType: User })
+
+  // the comments are grouped by their author, so a paginated join under it has a grouped parent
+  const CommentStats = new GraphQLObjectType({
+    name: 'CommentStats',
+    sqlTable: 'comments',
+    sqlGroupBy: 'author_id',
+    fields: {
+      authorId: {
+        type: GraphQLInt,
+        sqlColumn: 'author_id'
+      },
+      numComments: {
+        type: GraphQLInt,
+        sqlAggregate: { fn: 'count' }
+      },
+      latestComments: {
+        type: CommentConnection,
+        args: forwardConnectionArgs,
+        sqlPaginate: true,
+        sortKey: {
+          order: 'desc',
+          key: 'id'
+        },
+        sqlJoin: (statsTable, commentTable) => `${statsTable}.${q('author_id')} = ${commentTable}.${q('author_id')}`
+      }
+    }
+  })
+
+  return new GraphQLSchema({
+    query: new GraphQLObjectType({
+      name: 'Query',
+      fields: {
+        users: {
+          type: UserConnection,
+          args: forwardConnectionArgs,
+          sqlPaginate: true,
+          orderBy: { last_name: 'asc', id: 'desc' },
+          where: table => `${table}.${q('deleted_at')} IS NULL`,
+          resolve: (parent, args, context, resolveInfo) => joinMonster(resolveInfo, context, dbCall, options)
+        },
+        usersByKeyset: {
+          type: UserConnection,
+          args: connectionArgs,
+          sqlPaginate: true,
+          sortKey: {
+            order: 'asc',
+            key: 'id'
+          },
+          resolve: (parent, args, context, resolveInfo) => joinMonster(resolveInfo, context, dbCall, options)
+        },
+        commentStats: {
+          type: new GraphQLList(CommentStats),
+          where: table => `${table}.${q('author_id')} < 3`,
+          resolve: (parent, args, context, resolveInfo) => joinMonster(resolveInfo, context, dbCall, options)
+        },
+        user: {
+          type: User,
+          args: {
+            id: { type: GraphQLInt }
+          },
+          where: (table, args) => `${table}.${q('id')} = ${args.id}`,
+          resolve: (parent, args, context, resolveInfo) => joinMonster(resolveInfo, context, dbCall, options)
+        }
+      }
+    })
+  })
+}
+
+export async function run(t, dialect, query, parameterize) {
+  const queries = []
+  const { errors } = await graphql(makeSchema(dialect, queries, parameterize), query)
+  t.is(errors, undefined)
+  return queries
+}
+
+// one query for each of the `handle*Paginated` hooks in the dialects
+export const pagingQueries = {
+  rootOffset: `{
+    users(first: 2, after: "${offsetToCursor(3)}") {
+      edges { node { id, fullName } }
+    }
+  }`,
+  rootKeyset: `{
+    usersByKeyset(last: 2, before: "${objToCursor({ id: 5 })}") {
+      edges { node { id } }
+    }
+  }`,
+  joined: `{
+    user(id: 1) {
+      comments(first: 3, after: "${objToCursor({ created_at: '2017-01-01', id: 4 })}") {
+        edges { node { id, body } }
+      }
+      following(first: 2) {
+        edges { node { id } }
+      }
+    }
+  }`,
+  groupedParent: `{
+    commentStats {
+      authorId
+      numComments
+      latestComments(first: 2) {
+        edges { node { id } }
+      }
+    }
+  }`,
+  batched: `{
+    usersByKeyset(first: 1) {
+      edges {
+        node {
+          batchedComments(first: 2) {
+            edges { node { id } }
+          }
+          followers(first: 2) {
+            edges { node { id } }
+          }
+        }
+      }
+    }
+  }`
+}
@@ -0,0 +1,179 @@
+import test from 'ava'
+import {
+  graphql,
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLInt
+} from 'graphql'
+import {
+  connectionDefinitions
+} from 'graphql-relay'
+import schemaBasic from '../test-api/schema-basic/index'
+import { partial } from 'lodash'
+import joinMonster from '../src/index'
+
+const run = partial(graphql, schemaBasic)
+
+// these would fail the validation of the shared schema, so they get one of their own
+const Comment = new GraphQLObjectType({
+  name: 'Comment',
+  sqlTable: 'comments',
+  uniqueKey: 'id',
+  fields: {
+    id: { type: GraphQLInt }
+  }
+})
+
+const User = new GraphQLObjectType({
+  name: 'User',
+  sqlTable: 'accounts',
+  uniqueKey: 'id',
+  fields: {
+    id: { type: GraphQLInt },
+    commentList: {
+      type: new GraphQLList(Comment),
+      sqlAggregates: { total: { fn: 'count' } },
+      sqlBatch: { thisKey: 'author_id', parentKey: 'id' }
+    }
+  }
+})
+
+const { connectionType: UserConnection } = connectionDefinitions({
+  nodeType: User,
+  connectionFields: {
+    total: { type: GraphQLInt }
+  }
+})
+
+// the errors are thrown before anything is sent to the database
+const resolve = (parent, args, context, resolveInfo) => joinMonster(resolveInfo, context, () => [])
+
+const misconfigured = new GraphQLSchema({
+  query: new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+      users: {
+        type: new GraphQLList(User),
+        resolve
+      },
+      usersByMedian: {
+        type: UserConnection,
+        sqlAggregates: {
+          total: { fn: 'median', column: 'num_legs' }
+        },
+        resolve
+      }
+    }
+  })
+})
+
+test('it should compute aggregates on the root field', async t => {
+  const { data, errors } = await run('{ userConnection(first: 1) { total, totalLegs, edges { node { id } } } }')
+  t.is(errors, undefined)
+  t.deepEqual(data.userConnection, {
+    total: 3,
+    totalLegs: 6,
+    edges: [ { node: { id: 1 } } ]
+  })
+})
+
+test('it should compute aggregates on a one-to-many connection', async t => {
+  const { data, errors } = await run(`{
+    userConnection {
+      total
+      edges {
+        node {
+          id
+          commentConnection(first: 1) { total, lastId, edges { node { id } } }
+        }
+      }
+    }
+  }`)
+  t.is(errors, undefined)
+  const users = data.userConnection.edges.map(edge => edge.node)
+  t.deepEqual(users.map(user => user.commentConnection), [
+    { total: 4, lastId: 8, edges: [ { node: { id: 1 } } ] },
+    { total: 1, lastId: 7, edges: [ { node: { id: 7 } } ] },
+    { total: 4, lastId: 9, edges: [ { node: { id: 2 } } ] }
+  ])
+})
+
+test('it should apply the conditions of the field to the aggregates', async t => {
+  const { data, errors } = await run(`{
+    userConnection {
+      edges {
+        node {
+          commentConnection(active: true) { total, lastId }
+        }
+      }
+    }
+  }`)
+  t.is(errors, undefined)
+  t.deepEqual(data.userConnection.edges.map(edge => edge.node.commentConnection), [
+    { total: 4, lastId: 8 },
+    { total: 0, lastId: null },
+    { total: 3, lastId: 9 }
+  ])
+})
+
+test('it should compute aggregates on a many-to-many connection', async t => {
+  const { data, errors } = await run(`{
+    userConnection {
+      edges {
+        node {
+          id
+          followingConnection { total, edges { node { id } } }
+        }
+      }
+    }
+  }`)
+  t.is(errors, undefined)
+  t.deepEqual(data.userConnection.edges.map(edge => edge.node.followingConnection.total), [ 1, 0, 2 ])
+})
+
+test('it should not take aggregates on plain lists', async t => {
+  const { errors } = await graphql(misconfigured, '{ users { id, commentList { id } } }')
+  t.is(errors[0].message, '"sqlAggregates" can only be used on a connection. Check the "commentList" field on the "User" type.')
+})
+
+test('it should keep the aggregates off the objects', async t => {
+  const hydrated = []
+  const context = { options: { onHydrated: data => hydrated.push(JSON.stringify(data)) } }
+  const { data, errors } = await run(`{
+    userConnection {
+      total
+      edges {
+        node {
+          propertyNames
+          commentConnection { total }
+          followingConnection { total }
+        }
+      }
+    }
+  }`, null, context)
+  t.is(errors, undefined)
+  t.is(data.userConnection.total, 3)
+  for (let edge of data.userConnection.edges) {
+    t.false(edge.node.propertyNames.some(name => name.startsWith('$agg_')))
+  }
+  t.true(hydrated.length > 0)
+  for (let json of hydrated) {
+    t.notRegex(json, /\$agg_/)
+  }
+})
+
+test('it should only compute the aggregates that are requested on connections', async t => {
+  const context = { queries: [] }
+  await run('{ userConnection { edges { node { id } } } }', null, context)
+  await run('{ userConnection { total } }', null, context)
+  const [ withoutTotal, withTotal ] = context.queries
+  t.notRegex(withoutTotal, /count\(/)
+  t.regex(withTotal, /count\(\*\)/)
+  t.notRegex(withTotal, /sum\(/)
+})
+
+test('it should reject unknown aggregate functions', async t => {
+  const { errors } = await graphql(misconfigured, '{ usersByMedian { total } }')
+  t.regex(errors[0].message, /Unknown aggregate function "median"/)
+})
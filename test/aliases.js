@@ -0,0 +1,88 @@
+import test from 'ava'
+import { graphql } from 'graphql'
+import schemaBasic from '../test-api/schema-basic/index'
+import schemaRelay from '../test-api/schema-paginated/index'
+
+const { STRATEGY } = process.env
+
+// the context counts the queries
+async function run(query) {
+  const context = { queries: [] }
+  const { data, errors } = await graphql(schemaBasic, query, null, context)
+  return { data, errors, queries: context.queries }
+}
+
+const ids = list => list.map(item => item.id)
+const allComments = [ [ 1, 4, 6, 8 ], [ 7 ], [ 2, 3, 5, 9 ] ]
+const activeComments = [ [ 1, 4, 6, 8 ], [], [ 3, 5, 9 ] ]
+
+test('it should fetch a field under several aliases with different arguments', async t => {
+  const { data, errors, queries } = await run('{ users { all: comments { id }, active: comments(active: true) { id } } }')
+  t.is(errors, undefined)
+  // joined in the same query, or a batch for each
+  t.is(queries.length, [ 'batch', 'mix' ].includes(STRATEGY) ? 3 : 1)
+  t.deepEqual(data.users.map(user => ids(user.all)), allComments)
+  t.deepEqual(data.users.map(user => ids(user.active)), activeComments)
+})
+
+test('it should keep the unaliased field apart from the aliases', async t => {
+  const { data, errors } = await run('{ users { comments { id }, active: comments(active: true) { id } } }')
+  t.is(errors, undefined)
+  t.deepEqual(data.users.map(user => ids(user.comments)), allComments)
+  t.deepEqual(data.users.map(user => ids(user.active)), activeComments)
+})
+
+test('it should batch each alias separately', async t => {
+  const { data, errors, queries } = await run('{ users { id, all: batchedComments { id }, active: batchedComments(active: true) { id } } }')
+  t.is(errors, undefined)
+  t.is(queries.length, 3)
+  t.deepEqual(data.users.map(user => ids(user.all)), allComments)
+  t.deepEqual(data.users.map(user => ids(user.active)), activeComments)
+})
+
+test('it should paginate each alias separately', async t => {
+  const query = `{
+    users {
+      first: postConnection(first: 1) { edges { node { id } } }
+      second: postConnection(first: 1, after: "YXJyYXljb25uZWN0aW9uOjA=") { edges { node { id } } }
+    }
+  }`
+  const { data, errors } = await run(query)
+  t.is(errors, undefined)
+  const nodeIds = connection => connection.edges.map(edge => edge.node.id)
+  t.deepEqual(data.users.map(user => nodeIds(user.first)), [ [ 2 ], [ 1 ], [] ])
+  t.deepEqual(data.users.map(user => nodeIds(user.second)), [ [], [ 3 ], [] ])
+})
+
+test('it should let custom resolvers get the data for their alias', async t => {
+  const { data, errors } = await run('{ users { all: newestComments { id }, active: newestComments(active: true) { id } } }')
+  t.is(errors, undefined)
+  t.deepEqual(data.users.map(user => ids(user.all)), allComments.map(list => list.slice().reverse()))
+  t.deepEqual(data.users.map(user => ids(user.active)), activeComments.map(list => list.slice().reverse()))
+})
+
+test('it should leave the data of the other aliases on the parent', async t => {
+  const { data, errors } = await run(`{
+    users {
+      pagedComments(first: 1) { edges { node { id } } }
+      active: pagedComments(active: true, first: 2) { edges { node { id } } }
+    }
+  }`)
+  t.is(errors, undefined)
+  const nodeIds = connection => connection.edges.map(edge => edge.node.id)
+  t.deepEqual(data.users.map(user => nodeIds(user.pagedComments)), allComments.map(list => list.slice(0, 1)))
+  t.deepEqual(data.users.map(user => nodeIds(user.active)), activeComments.map(list => list.slice(0, 2)))
+})
+
+test('it should share the data of a field between its aliases until the schema resolves aliases', async t => {
+  const { data, errors } = await graphql(schemaRelay, `{
+    user(id: 3) {
+      all: comments { edges { node { id } } }
+      active: comments(active: true) { edges { node { id } } }
+    }
+  }`)
+  t.is(errors, undefined)
+  const nodeIds = connection => connection.edges.map(edge => edge.node.id)
+  t.true(nodeIds(data.user.all).length > 0)
+  t.deepEqual(nodeIds(data.user.active), nodeIds(data.user.all))
+})
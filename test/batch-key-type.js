@@ -0,0 +1,129 @@
+import test from 'ava'
+import {
+  graphql,
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLInt
+} from 'graphql'
+import {
+  forwardConnectionArgs,
+  connectionDefinitions
+} from 'graphql-relay'
+import joinMonster from '../src/index'
+
+// there is no postgres to run these against, so the tests only check the SQL of the batches
+
+const Post = new GraphQLObjectType({
+  name: 'Post',
+  sqlTable: 'posts',
+  uniqueKey: 'id',
+  fields: {
+    id: { type: GraphQLInt }
+  }
+})
+
+const { connectionType: PostConnection } = connectionDefinitions({ nodeType: Post })
+
+const User = new GraphQLObjectType({
+  name: 'User',
+  sqlTable: 'accounts',
+  uniqueKey: 'id',
+  fields: () => ({
+    id: { type: GraphQLInt },
+    posts: {
+      type: new GraphQLList(Post),
+      sqlBatch: { thisKey: 'author_id', parentKey: 'id', keyType: 'integer' }
+    },
+    inlinedPosts: {
+      type: new GraphQLList(Post),
+      sqlBatch: { thisKey: 'author_id', parentKey: 'id', keyType: 'integer' }
+    },
+    untypedPosts: {
+      type: new GraphQLList(Post),
+      sqlBatch: { thisKey: 'author_id', parentKey: 'id' }
+    },
+    postConnection: {
+      type: PostConnection,
+      args: forwardConnectionArgs,
+      sqlPaginate: true,
+      orderBy: 'id',
+      sqlBatch: { thisKey: 'author_id', parentKey: 'id', keyType: 'integer' }
+    },
+    following: {
+      type: new GraphQLList(User),
+      junctionTable: 'relationships',
+      junctionTableKey: [ 'follower_id', 'followee_id' ],
+      junctionBatch: {
+        thisKey: 'follower_id',
+        parentKey: 'id',
+        keyType: 'integer',
+        sqlJoin: (relationTable, followeeTable) => `${relationTable}."followee_id" = ${followeeTable}."id"`
+      }
+    }
+  })
+})
+
+const schema = new GraphQLSchema({
+  query: new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+      users: {
+        type: new GraphQLList(User),
+        // the tests pass the users to return, and get back the batch queries
+        resolve: (parent, args, context, resolveInfo) => {
+          let rows = [ context.users ]
+          // the rest parameter keeps it from being taken for a callback
+          return joinMonster(resolveInfo, context, (...args) => {
+            const [ sql, params ] = args
+            context.queries.push(params ? { sql, params } : { sql })
+            return Promise.resolve(rows.shift() || [])
+          }, { dialect: 'pg', ...context.options })
+        }
+      }
+    }
+  })
+})
+
+async function batchQueries(query, users, options = { parameterize: true }) {
+  const context = { queries: [], users, options }
+  const { errors } = await graphql(schema, query, null, context)
+  if (errors) throw errors[0]
+  return context.queries.slice(1)
+}
+
+const twoUsers = [ { id: 1 }, { id: 2 } ]
+const threeUsers = [ { id: 1 }, { id: 2 }, { id: 3 } ]
+
+test('it should match the keys with one array parameter', async t => {
+  const [ batch ] = await batchQueries('{ users { id, posts { id } } }', twoUsers)
+  t.regex(batch.sql, /WHERE "posts"\."author_id" = ANY\(\$1::integer\[\]\)/)
+  t.deepEqual(batch.params, [ [ 1, 2 ] ])
+})
+
+test('it should send the same SQL for any number of keys', async t => {
+  const query = '{ users { id, posts { id }, postConnection(first: 2) { edges { node { id } } }, following { id } } }'
+  const fewer = await batchQueries(query, twoUsers)
+  const more = await batchQueries(query, threeUsers)
+  t.is(fewer.length, 3)
+  t.deepEqual(fewer.map(batch => batch.sql), more.map(batch => batch.sql))
+  t.regex(fewer[1].sql, /FROM unnest\(\$1::integer\[\]\) temp\("id"\)/)
+  t.regex(fewer[2].sql, /WHERE "relationsh"\."follower_id" = ANY\(\$1::integer\[\]\)/)
+})
+
+test('it should keep the IN list without the type of the keys', async t => {
+  const [ batch ] = await batchQueries('{ users { id, untypedPosts { id } } }', twoUsers)
+  t.regex(batch.sql, /WHERE "untypedPos"\."author_id" IN \(1,2\)/)
+})
+
+test('it should write the array into the SQL when the values are not parameterized', async t => {
+  const [ batch ] = await batchQueries('{ users { id, inlinedPosts { id } } }', twoUsers, {})
+  t.regex(batch.sql, /= ANY\(ARRAY\[1, 2\]::integer\[\]\)/)
+})
+
+test('it should ignore the key type with oracle even though its dialect extends postgres', async t => {
+  const [ batch ] = await batchQueries('{ users { id, posts { id } } }', twoUsers, { dialect: 'oracle', parameterize: true })
+  // oracle minifies the aliases
+  t.regex(batch.sql, /WHERE "\w+"\."author_id" IN \(/)
+  t.notRegex(batch.sql, /ANY/)
+})
@@ -0,0 +1,58 @@
+import test from 'ava'
+import { graphql } from 'graphql'
+import schemaBasic from '../test-api/schema-basic/index'
+import knex from '../test-api/schema-basic/database'
+import dbCall from '../test-api/data/fetch'
+
+// the context records the queries and passes the options
+async function run(query, options) {
+  const context = { queries: [], options }
+  const { data, errors } = await graphql(schemaBasic, query, null, context)
+  return { data, errors, queries: context.queries }
+}
+
+const query = '{ users { id, batchedComments { id }, batchedFollowing { id } } }'
+
+test('it should split the batches into chunks of parent keys', async t => {
+  const { data, errors, queries } = await run(query, { maxBatchSize: 2 })
+  t.is(errors, undefined)
+  // 3 users, so each batch takes 2 queries
+  t.is(queries.length, 5)
+  t.deepEqual(data.users.map(user => user.batchedComments.map(comment => comment.id)), [ [ 1, 4, 6, 8 ], [ 7 ], [ 2, 3, 5, 9 ] ])
+  t.deepEqual(data.users.map(user => user.batchedFollowing.map(followee => followee.id)), [ [ 2 ], [], [ 1, 2 ] ])
+  const unchunked = await run(query)
+  t.is(unchunked.queries.length, 3)
+  t.deepEqual(data, unchunked.data)
+})
+
+test('it should limit how many chunks are fetched at a time', async t => {
+  const events = []
+  const { errors } = await run('{ users { batchedComments { id } } }', {
+    maxBatchSize: 1,
+    batchConcurrency: 1,
+    beforeQuery: (sql, meta) => events.push(`before ${meta.path}`),
+    afterQuery: (rows, meta) => events.push(`after ${meta.path}`)
+  })
+  t.is(errors, undefined)
+  t.deepEqual(events, [
+    'before users', 'after users',
+    'before users.batchedComments', 'after users.batchedComments',
+    'before users.batchedComments', 'after users.batchedComments',
+    'before users.batchedComments', 'after users.batchedComments'
+  ])
+})
+
+test('it should combine the chunks of sibling batches', async t => {
+  const calls = []
+  const { data, errors } = await run(query, {
+    maxBatchSize: 2,
+    combineBatches: statements => {
+      calls.push(statements.length)
+      return Promise.all(statements.map(statement => dbCall(statement.sql, knex)))
+    }
+  })
+  t.is(errors, undefined)
+  t.deepEqual(calls, [ 4 ])
+  t.deepEqual(data.users.map(user => user.batchedComments.map(comment => comment.id)), [ [ 1, 4, 6, 8 ], [ 7 ], [ 2, 3, 5, 9 ] ])
+  t.deepEqual(data.users.map(user => user.batchedFollowing.map(followee => followee.id)), [ [ 2 ], [], [ 1, 2 ] ])
+})
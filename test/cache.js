@@ -0,0 +1,56 @@
+import test from 'ava'
+import { graphql } from 'graphql'
+import schemaBasic from '../test-api/schema-basic/index'
+import { partial } from 'lodash'
+import joinMonster from '../src/index'
+
+const run = partial(graphql, schemaBasic)
+
+// the context counts the queries that reach the database
+const cached = () => ({ queries: [], options: { cache: true } })
+
+test('it should reuse the rows of identical queries', async t => {
+  const context = cached()
+  const { data, errors } = await run('{ a: users { id, batchedPosts { id } }, b: users { id, batchedPosts { id } } }', null, context)
+  t.is(errors, undefined)
+  t.is(context.queries.length, 2)
+  t.deepEqual(data.a, data.b)
+  t.deepEqual(data.a.map(user => user.batchedPosts.map(post => post.id)), [ [ 2 ], [ 1, 3 ], [] ])
+})
+
+test('it should not reuse the rows for different arguments', async t => {
+  const context = cached()
+  const { data, errors } = await run('{ a: user(id: 1) { id }, b: user(id: 2) { id }, c: user(id: 1) { id } }', null, context)
+  t.is(errors, undefined)
+  t.is(context.queries.length, 2)
+  t.deepEqual(data, { a: { id: 1 }, b: { id: 2 }, c: { id: 1 } })
+})
+
+test('it should keep the results for each context', async t => {
+  const first = cached()
+  const second = cached()
+  await run('{ user(id: 1) { id } }', null, first)
+  await run('{ user(id: 1) { id } }', null, second)
+  await run('{ user(id: 1) { id } }', null, second)
+  t.is(first.queries.length, 1)
+  t.is(second.queries.length, 1)
+})
+
+test('it should query again after the cache is cleared', async t => {
+  const context = cached()
+  await run('{ user(id: 1) { email } }', null, context)
+  await run('{ user(id: 1) { email } }', null, context)
+  t.is(context.queries.length, 1)
+  joinMonster.clearCache(context)
+  await run('{ user(id: 1) { email } }', null, context)
+  t.is(context.queries.length, 2)
+})
+
+test('it should keep the cache on the context out of sight', async t => {
+  const context = cached()
+  const { errors } = await run('{ user(id: 1) { id } }', null, context)
+  t.is(errors, undefined)
+  t.deepEqual(Object.keys(context), [ 'queries', 'options' ])
+  t.deepEqual(Object.keys({ ...context }), [ 'queries', 'options' ])
+  t.is(Object.getOwnPropertySymbols(context).length, 1)
+})
@@ -278,6 +278,28 @@ test('it should handle duplicate fields', async t => {
   t.deepEqual(expect, data)
 })
 
+test('it should merge the selections of a field requested more than once', async t => {
+  const query = `{
+    user(id: 2) { id }
+    user(id: 2) { email, posts { id } }
+    ...moreUser
+  }
+  fragment moreUser on Query {
+    user(id: 2) { fullName, posts { body } }
+  }`
+  const { data, errors } = await run(query)
+  t.is(errors, undefined)
+  t.deepEqual(data.user, {
+    id: 2,
+    email: 'matt@stem.is',
+    fullName: 'matt elder',
+    posts: [
+      { id: 1, body: 'If I could marry a programming language, it would be Haskell.' },
+      { id: 3, body: 'Here is who to contact if your brain has been ruined by Java.' }
+    ]
+  })
+})
+
 test('it should not be tripped up by the introspection queries', async t => {
   const query = wrap('__typename')
   const { data, errors } = await run(query)
@@ -0,0 +1,102 @@
+import test from 'ava'
+import { graphql } from 'graphql'
+import schemaBasic from '../test-api/schema-basic/index'
+import knex from '../test-api/schema-basic/database'
+import dbCall from '../test-api/data/fetch'
+
+// the context records each call to the database. unless the test passes other options, the batches are sent by a function
+async function run(query, options, context = {}) {
+  context.queries = []
+  context.options = {
+    combineBatches: statements => {
+      context.queries.push(statements.map(statement => statement.sql).join(';\n'))
+      // sqlite can't send several statements at once, so they still run one by one here
+      return Promise.all(statements.map(statement => dbCall(statement.sql, knex)))
+    },
+    ...options
+  }
+  const { data, errors } = await graphql(schemaBasic, query, null, context)
+  return { data, errors, calls: context.queries.map(sql => sql.split(';\n')) }
+}
+
+const query = '{ users { id, batchedPosts { id, related { id } }, batchedComments { id }, batchedFollowing { id } } }'
+
+test('it should send the batches of sibling fields in one call', async t => {
+  const { data, errors, calls } = await run(query)
+  t.is(errors, undefined)
+  t.deepEqual(calls.map(call => call.length), [ 1, 3, 1 ])
+  t.deepEqual(data.users.map(user => user.batchedPosts.map(post => post.id)), [ [ 2 ], [ 1, 3 ], [] ])
+  t.deepEqual(data.users.map(user => user.batchedComments.map(comment => comment.id)), [ [ 1, 4, 6, 8 ], [ 7 ], [ 2, 3, 5, 9 ] ])
+  t.deepEqual(data.users.map(user => user.batchedFollowing.map(followee => followee.id)), [ [ 2 ], [], [ 1, 2 ] ])
+  t.deepEqual(data.users[1].batchedPosts.map(post => post.related.map(comment => comment.id)), [ [ 1, 2, 3 ], [ 9 ] ])
+})
+
+test('it should get the same data as sending them separately', async t => {
+  const combined = await run(query)
+  const separate = await run(query, { combineBatches: false })
+  t.is(separate.calls.length, 5)
+  t.deepEqual(combined.data, separate.data)
+})
+
+test('it should call the hooks for each of the combined queries', async t => {
+  const before = []
+  const after = []
+  const { errors } = await run('{ users { batchedPosts { id }, batchedComments { id } } }', {
+    beforeQuery: (sql, meta) => before.push(meta.path),
+    afterQuery: (rows, meta) => after.push(`${meta.path}: ${rows.length}`)
+  })
+  t.is(errors, undefined)
+  t.deepEqual(before, [ 'users', 'users.batchedPosts', 'users.batchedComments' ])
+  t.deepEqual(after, [ 'users: 3', 'users.batchedPosts: 3', 'users.batchedComments: 9' ])
+})
+
+test('it should need the rows for each of the combined queries', async t => {
+  const { errors } = await run('{ users { batchedPosts { id }, batchedComments { id } } }', { combineBatches: () => [ [] ] })
+  t.is(errors[0].message, '"combineBatches" must return (a promise of) an array with the rows for each of the 2 queries.')
+})
+
+test('it should combine the chunks of a single batched field', async t => {
+  const { data, errors, calls } = await run('{ users { id, batchedComments { id } } }', { maxBatchSize: 1 })
+  t.is(errors, undefined)
+  t.deepEqual(calls.map(call => call.length), [ 1, 3 ])
+  t.deepEqual(data.users.map(user => user.batchedComments.map(comment => comment.id)), [ [ 1, 4, 6, 8 ], [ 7 ], [ 2, 3, 5, 9 ] ])
+})
+
+test('it should put no more than "batchesPerCall" queries in each call', async t => {
+  const { data, errors, calls } = await run('{ users { id, batchedComments { id } } }', { maxBatchSize: 1, batchesPerCall: 2 })
+  t.is(errors, undefined)
+  t.deepEqual(calls.map(call => call.length), [ 1, 2, 1 ])
+  t.deepEqual(data.users.map(user => user.batchedComments.map(comment => comment.id)), [ [ 1, 4, 6, 8 ], [ 7 ], [ 2, 3, 5, 9 ] ])
+})
+
+test('it should leave the size of the calls to "batchesPerCall" instead of "batchConcurrency"', async t => {
+  const { errors, calls } = await run('{ users { id, batchedComments { id } } }', { maxBatchSize: 1, batchConcurrency: 2 })
+  t.is(errors, undefined)
+  t.deepEqual(calls.map(call => call.length), [ 1, 3 ])
+})
+
+test('it should join the statements for "dbCall" when the option is true', async t => {
+  const combined = await run(query, { combineBatches: true })
+  t.is(combined.errors, undefined)
+  t.deepEqual(combined.calls.map(call => call.length), [ 1, 3, 1 ])
+  const separate = await run(query, { combineBatches: false })
+  t.deepEqual(combined.data, separate.data)
+})
+
+test('it should pass the values of the joined statements in order', async t => {
+  const context = {
+    // the numbers would be inlined, so the keys are strings to get some values. the rows have the columns without minifying
+    rows: [ [ { id: '1' }, { id: '2' } ], [ [ { id: 3, author_id: '1' } ], [ { id: 4, author_id: '2' } ] ] ],
+    params: []
+  }
+  const { data, errors, calls } = await run('{ users { id, batchedPosts { id }, batchedComments { id } } }', { dialect: 'mysql', minify: false, parameterize: true, combineBatches: true }, context)
+  t.is(errors, undefined)
+  t.is(calls[1].length, 2)
+  t.deepEqual(context.params[1], [ '1', '2', '1', '2' ])
+  t.deepEqual(data.users.map(user => [ user.batchedPosts.map(post => post.id), user.batchedComments.map(comment => comment.id) ]), [ [ [ 3 ], [] ], [ [], [ 4 ] ] ])
+})
+
+test('it should not join parameterized statements with numbered placeholders', async t => {
+  const { errors } = await run('{ users { id, batchedPosts { id }, batchedComments { id } } }', { dialect: 'pg', parameterize: true, combineBatches: true }, { rows: [ [ { id: 1 } ] ] })
+  t.is(errors[0].message, 'The pg dialect numbers its placeholders, so its parameterized queries can\'t be joined into one statement. Pass a function as the "combineBatches" option to send them instead.')
+})
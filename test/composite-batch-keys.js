@@ -0,0 +1,88 @@
+import test from 'ava'
+import { graphql } from 'graphql'
+import schemaBasic from '../test-api/schema-basic/index'
+
+// the context collects the SQL that was run
+async function run(query) {
+  const context = { queries: [] }
+  const { data, errors } = await graphql(schemaBasic, query, null, context)
+  return { data, errors, queries: context.queries }
+}
+
+const ids = list => list.map(item => item.id)
+
+test('it should batch on all the columns of the key', async t => {
+  const { data, errors, queries } = await run('{ posts { id, authorComments { id } } }')
+  t.is(errors, undefined)
+  t.is(queries.length, 2)
+  t.deepEqual(data.posts.map(post => ids(post.authorComments)), [ [], [ 4, 6, 8 ], [], [] ])
+})
+
+test('it should batch on a composite key for a single parent', async t => {
+  const { data, errors } = await run('{ post(id: 2) { id, authorComments { id } } }')
+  t.is(errors, undefined)
+  t.deepEqual(ids(data.post.authorComments), [ 4, 6, 8 ])
+})
+
+test('it should batch a many-to-many on a composite key', async t => {
+  const { data, errors, queries } = await run('{ posts { id, selfCommenters { id } } }')
+  t.is(errors, undefined)
+  t.is(queries.length, 2)
+  t.deepEqual(data.posts.map(post => ids(post.selfCommenters)), [ [], [ 1 ], [], [] ])
+})
+
+test('it should join or batch a relation on a composite key', async t => {
+  const joined = await run('{ posts { id, authorCommentsByRelation { id } } }')
+  t.is(joined.errors, undefined)
+  t.is(joined.queries.length, 1)
+  t.regex(joined.queries[0], /"post_id" AND .*"author_id" = .*"author_id"/)
+  t.deepEqual(joined.data.posts.map(post => ids(post.authorCommentsByRelation)), [ [], [ 4, 6, 8 ], [], [] ])
+
+  // a second one-to-many gets batched
+  const batched = await run('{ posts { id, joined: authorCommentsByRelation { id }, batched: authorCommentsByRelation { id } } }')
+  t.is(batched.errors, undefined)
+  t.is(batched.queries.length, 2)
+  t.deepEqual(batched.data.posts.map(post => ids(post.batched)), [ [], [ 4, 6, 8 ], [], [] ])
+})
+
+async function planBatch(dialect) {
+  // the aliases are matched below, so they aren't minified
+  const context = { explain: true, options: { dialect, minify: false } }
+  const { errors } = await graphql(schemaBasic, '{ posts { id, authorComments { id } } }', null, context)
+  if (errors) throw errors[0]
+  return context.plan.batches[1]
+}
+
+test('it should match all the columns at once with row values', async t => {
+  const batch = await planBatch('pg')
+  t.regex(batch.sql, /WHERE \("authorComm"\."post_id", "authorComm"\."author_id"\) IN \(\(:id,:author_id\)\)/)
+})
+
+test('it should list the row values in a VALUES table for sqlite', async t => {
+  const batch = await planBatch('sqlite3')
+  t.regex(batch.sql, /WHERE \("authorComm"\."post_id", "authorComm"\."author_id"\) IN \(VALUES \(:id,:author_id\)\)/)
+})
+
+test('it should expand the key into a condition for each parent without row values', async t => {
+  const batch = await planBatch('mssql')
+  t.regex(batch.sql, /\(\(\[authorComm\]\.\[post_id\] = :id AND \[authorComm\]\.\[author_id\] = :author_id\)\)/)
+  t.deepEqual(batch.parentKey, [ 'id', 'author_id' ])
+  t.deepEqual(batch.thisKey, [ 'post_id', 'author_id' ])
+})
+
+test('it should not paginate a batch on a composite key', async t => {
+  const { errors } = await run('{ posts { id, authorCommentConnection(first: 1) { edges { node { id } } } } }')
+  t.is(errors[0].message, 'A batch with a composite key can\'t be paginated. Check the "authorCommentConnection" field.')
+})
+
+test('it should group the conditions for a large batch without row values', async t => {
+  const posts = Array.from({ length: 250 }, (_, i) => ({ id: i + 1, author_id: 1 }))
+  const context = { options: { dialect: 'mssql', minify: false }, queries: [], rows: [ posts ] }
+  const { errors } = await graphql(schemaBasic, '{ posts { id, authorComments { id } } }', null, context)
+  t.is(errors, undefined)
+  const [ , condition ] = context.queries[1].match(/WHERE (.*)/)
+  // three groups of up to a hundred, inside of one more
+  t.true(condition.startsWith('(((['))
+  t.is(condition.split(') OR ((').length, 3)
+  t.is(condition.split(' OR ').length, 250)
+})
@@ -0,0 +1,41 @@
+import test from 'ava'
+import { graphql, buildSchema } from 'graphql'
+import schemaSdl, { registry } from '../test-api/schema-sdl/index'
+import { partial } from 'lodash'
+import joinMonster from '../src/index'
+
+const run = partial(graphql, schemaSdl)
+
+test('it should read the type and column directives', async t => {
+  const { data, errors } = await run('{ user(id: 1) { id, email, fullName } }')
+  t.is(errors, undefined)
+  t.deepEqual(data.user, {
+    id: 1,
+    email: 'andrew@stem.is',
+    fullName: 'andrew carlson'
+  })
+})
+
+test('it should read the one-to-many and ordering directives', async t => {
+  const { data, errors } = await run('{ users { id, comments { id } } }')
+  t.is(errors, undefined)
+  t.deepEqual(data.users[0].comments, [ { id: 1 }, { id: 4 }, { id: 6 }, { id: 8 } ])
+  t.deepEqual(data.users[1].comments, [ { id: 7 } ])
+})
+
+test('it should read the many-to-many directives', async t => {
+  const { data, errors } = await run('{ user(id: 3) { following { id } } }')
+  t.is(errors, undefined)
+  t.deepEqual(data.user.following, [ { id: 2 }, { id: 1 } ])
+})
+
+test('it should require the functions to be in the registry', t => {
+  const typeDefs = `
+    ${joinMonster.directiveDefinitions}
+    type Query {
+      foo: String @where(fn: "nope")
+    }
+  `
+  const err = t.throws(() => joinMonster.applyDirectives(buildSchema(typeDefs), registry))
+  t.is(err.message, 'The @where directive on Query.foo refers to "nope", which is not a function in the registry.')
+})
@@ -0,0 +1,79 @@
+import test from 'ava'
+import { graphql } from 'graphql'
+import schemaBasic from '../test-api/schema-basic/index'
+import { partial } from 'lodash'
+
+const run = partial(graphql, schemaBasic)
+
+const query = '{ users { id, commentsByRelation { id }, batchedPosts { id, related { id } }, batchedFollowing { id } } }'
+
+async function explain(query) {
+  const context = { explain: true }
+  const { errors } = await run(query, null, context)
+  if (errors) throw errors[0]
+  return context.plan
+}
+
+test('it should list every batch in order', async t => {
+  const plan = await explain(query)
+  t.deepEqual(plan.batches.map(batch => batch.path), [ 'users', 'users.batchedPosts', 'users.batchedPosts.related', 'users.batchedFollowing' ])
+  t.deepEqual(plan.batches[0].fields, [ 'users', 'users.commentsByRelation' ])
+  t.deepEqual(plan.batches[1].fields, [ 'users.batchedPosts' ])
+})
+
+test('it should say how the batches match their parents', async t => {
+  const plan = await explain(query)
+  t.is(plan.batches[1].parentKey, 'id')
+  t.is(plan.batches[1].thisKey, 'author_id')
+  t.regex(plan.batches[1].sql, /IN \(:id\)/)
+  t.is(plan.batches[3].thisKey, 'follower_id')
+})
+
+test('it should plan the same SQL that is run', async t => {
+  const plan = await explain(query)
+  const context = { queries: [] }
+  await run(query, null, context)
+  t.is(plan.batches[0].sql, context.queries[0])
+  t.is(context.queries.length, plan.batches.length)
+})
+
+test('it should include the shape and the cost', async t => {
+  const plan = await explain('{ users { id, commentsByRelation { id } } }')
+  t.is(plan.batches.length, 1)
+  t.deepEqual(Object.keys(plan.batches[0].shapeDefinition[0]), [ 'id', 'commentsByRelation' ])
+  t.is(plan.cost.depth, 2)
+  t.is(plan.cost.batches, 0)
+})
+
+test('it should explain each query with the database', async t => {
+  const plans = []
+  const context = {
+    queries: [],
+    options: { explain: true, onExplain: plan => plans.push(plan) }
+  }
+  const { data, errors } = await run('{ users { id, batchedPosts { id } } }', null, context)
+  t.is(errors, undefined)
+  t.is(data.users.length, 3)
+  // the EXPLAIN goes right before each query
+  t.is(context.queries.length, 4)
+  t.deepEqual(plans.map(plan => plan.fieldName), [ 'users', 'batchedPosts' ])
+  t.is(plans[0].sql, context.queries[1])
+  t.deepEqual(plans[0].statements, [ context.queries[0] ])
+  t.regex(plans[0].statements[0], /^EXPLAIN/)
+  t.true(plans[0].plan.length > 0)
+})
+
+test('it should require a function to pass the plans to', async t => {
+  const context = { queries: [], options: { explain: true } }
+  const { errors } = await run('{ users { id } }', null, context)
+  t.is(errors[0].message, 'The "explain" option needs an "onExplain" function to pass the plans to.')
+  t.is(context.queries.length, 0)
+})
+
+test('it should refuse to explain with mssql', async t => {
+  // its plans are a setting of the session, which might not be the connection the dbCall uses next
+  const context = { queries: [], options: { dialect: 'mssql', explain: true, onExplain: () => {} } }
+  const { errors } = await run('{ users { id } }', null, context)
+  t.is(errors[0].message, 'The mssql dialect does not support the "explain" option.')
+  t.is(context.queries.length, 0)
+})
@@ -0,0 +1,100 @@
+import test from 'ava'
+import { graphql } from 'graphql'
+import schemaBasic from '../test-api/schema-basic/index'
+import { partial } from 'lodash'
+
+const run = partial(graphql, schemaBasic)
+
+test('it should filter the root field with a comparison', async t => {
+  const query = `{
+    users(filter: { id: { gt: 1 } }) { id }
+  }`
+  const { data, errors } = await run(query)
+  t.is(errors, undefined)
+  t.deepEqual(data.users, [ { id: 2 }, { id: 3 } ])
+})
+
+test('it should combine the filter with the where function', async t => {
+  const query = `{
+    users(ids: [ 1, 2 ], filter: { email: { like: "%stem.is" }, id: { ne: 1 } }) { id }
+  }`
+  const { data, errors } = await run(query)
+  t.is(errors, undefined)
+  t.deepEqual(data.users, [ { id: 2 } ])
+})
+
+test('it should handle "or", "not", "in", and "isNull"', async t => {
+  const query = `{
+    users(filter: {
+      or: [ { id: { in: [ 1 ] } }, { email: { eq: "foo@example.org" } } ],
+      not: { numLegs: { isNull: true } }
+    }) { id }
+  }`
+  const { data, errors } = await run(query)
+  t.is(errors, undefined)
+  t.deepEqual(data.users, [ { id: 1 }, { id: 3 } ])
+})
+
+test('it should match nothing with an empty "in"', async t => {
+  const query = `{
+    users(filter: { id: { in: [] } }) { id }
+  }`
+  const { data, errors } = await run(query)
+  t.is(errors, undefined)
+  t.deepEqual(data.users, [])
+})
+
+test('it should filter a nested one-to-many field', async t => {
+  const query = `{
+    user(id: 2) {
+      posts(filter: { archived: { eq: false }, body: { like: "%Haskell%" } }) { id }
+    }
+  }`
+  const { data, errors } = await run(query)
+  t.is(errors, undefined)
+  t.deepEqual(data.user.posts, [ { id: 1 } ])
+})
+
+test('it should filter a nested many-to-many field', async t => {
+  const query = `{
+    user(id: 3) {
+      following(filter: { and: [ { id: { lt: 3 } }, { email: { ne: "matt@stem.is" } } ] }) { id }
+    }
+  }`
+  const { data, errors } = await run(query)
+  t.is(errors, undefined)
+  t.deepEqual(data.user.following, [ { id: 1 } ])
+})
+
+test('it should reject filtering on fields that are not columns', async t => {
+  const query = `{
+    users(filter: { numFeet: { eq: 2 } }) { id }
+  }`
+  const { errors } = await run(query)
+  t.regex(errors[0].message, /Can not filter on "numFeet"/)
+})
+
+test('it should reject null for the operators that can not compare with it', async t => {
+  const query = `{
+    users(filter: { id: { lt: null } }) { id }
+  }`
+  const { errors } = await run(query)
+  t.regex(errors[0].message, /Can not use null with the "lt" operator on "id"/)
+})
+
+test('it should reject null inside the list for "in"', async t => {
+  const query = `{
+    users(filter: { id: { in: [ 1, null ] } }) { id }
+  }`
+  const { errors } = await run(query)
+  t.regex(errors[0].message, /Can not use null with the "in" operator on "id"/)
+})
+
+test('it should escape the values in the filter', async t => {
+  const query = `{
+    users(filter: { email: { eq: "' OR 1 = 1 --" } }) { id }
+  }`
+  const { data, errors } = await run(query)
+  t.is(errors, undefined)
+  t.deepEqual(data.users, [])
+})
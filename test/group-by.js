@@ -0,0 +1,42 @@
+import test from 'ava'
+import { graphql } from 'graphql'
+import schemaBasic from '../test-api/schema-basic/index'
+import { partial } from 'lodash'
+
+const run = partial(graphql, schemaBasic)
+
+test('it should fetch the groups at the root', async t => {
+  const { data, errors } = await run('{ commentStats { authorId, numComments, lastCommentId } }')
+  t.is(errors, undefined)
+  t.deepEqual(data.commentStats, [
+    { authorId: 1, numComments: 4, lastCommentId: 8 },
+    { authorId: 2, numComments: 1, lastCommentId: 7 },
+    { authorId: 3, numComments: 4, lastCommentId: 9 }
+  ])
+})
+
+test('it should apply the "where" to the groups', async t => {
+  const { data, errors } = await run('{ commentStats(minComments: 2) { authorId } }')
+  t.is(errors, undefined)
+  t.deepEqual(data.commentStats, [ { authorId: 1 }, { authorId: 3 } ])
+})
+
+test('it should fetch a group for each parent', async t => {
+  const { data, errors } = await run('{ users { id, commentStats { numComments, lastCommentId } } }')
+  t.is(errors, undefined)
+  t.deepEqual(data.users, [
+    { id: 1, commentStats: { numComments: 4, lastCommentId: 8 } },
+    { id: 2, commentStats: { numComments: 1, lastCommentId: 7 } },
+    { id: 3, commentStats: { numComments: 4, lastCommentId: 9 } }
+  ])
+})
+
+test('it should use all the group keys as the unique key', async t => {
+  const { data, errors } = await run('{ users { id, archiveStats { archived, numComments } } }')
+  t.is(errors, undefined)
+  t.deepEqual(data.users, [
+    { id: 1, archiveStats: [ { archived: false, numComments: 4 } ] },
+    { id: 2, archiveStats: [ { archived: true, numComments: 1 } ] },
+    { id: 3, archiveStats: [ { archived: false, numComments: 3 }, { archived: true, numComments: 1 } ] }
+  ])
+})
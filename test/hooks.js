@@ -0,0 +1,62 @@
+import test from 'ava'
+import { graphql } from 'graphql'
+import schemaBasic from '../test-api/schema-basic/index'
+import { partial } from 'lodash'
+
+const run = partial(graphql, schemaBasic)
+
+const query = '{ users { id, batchedPosts { id, related { id } } } }'
+
+test('it should call the hooks for each batch in order', async t => {
+  const calls = []
+  const hooks = {
+    onSqlAST: sqlAST => calls.push([ 'onSqlAST', sqlAST.fieldName ]),
+    beforeQuery: (sql, meta) => calls.push([ 'beforeQuery', meta.path ]),
+    afterQuery: (rows, meta) => calls.push([ 'afterQuery', meta.path, rows.length ]),
+    onHydrated: (data, meta) => calls.push([ 'onHydrated', meta.path ])
+  }
+  const { errors } = await run(query, null, { options: hooks })
+  t.is(errors, undefined)
+  t.deepEqual(calls, [
+    [ 'onSqlAST', 'users' ],
+    [ 'beforeQuery', 'users' ],
+    [ 'afterQuery', 'users', 3 ],
+    [ 'onHydrated', 'users' ],
+    [ 'beforeQuery', 'users.batchedPosts' ],
+    [ 'afterQuery', 'users.batchedPosts', 3 ],
+    [ 'onHydrated', 'users.batchedPosts' ],
+    [ 'beforeQuery', 'users.batchedPosts.related' ],
+    [ 'afterQuery', 'users.batchedPosts.related', 9 ],
+    [ 'onHydrated', 'users.batchedPosts.related' ]
+  ])
+})
+
+test('it should describe each batch in the meta', async t => {
+  const metas = []
+  const durations = []
+  const hooks = {
+    beforeQuery: (sql, meta) => metas.push(meta),
+    afterQuery: (rows, meta, durationMs) => durations.push(durationMs)
+  }
+  const { errors } = await run(query, null, { options: hooks })
+  t.is(errors, undefined)
+  t.deepEqual(metas.map(({ path, depth, parentKeyCount }) => ({ path, depth, parentKeyCount })), [
+    { path: 'users', depth: 0, parentKeyCount: 0 },
+    { path: 'users.batchedPosts', depth: 1, parentKeyCount: 3 },
+    { path: 'users.batchedPosts.related', depth: 2, parentKeyCount: 3 }
+  ])
+  t.true(durations.every(duration => typeof duration === 'number' && duration >= 0))
+})
+
+test('it should wait for the hooks', async t => {
+  let finished = false
+  const hooks = {
+    afterQuery: () => new Promise(resolve => setTimeout(() => {
+      finished = true
+      resolve()
+    }, 10))
+  }
+  const { errors } = await run('{ users { id } }', null, { options: hooks })
+  t.is(errors, undefined)
+  t.true(finished)
+})
@@ -0,0 +1,158 @@
+import test from 'ava'
+import {
+  graphql,
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLInt
+} from 'graphql'
+import joinMonster from '../src/index'
+
+// there is no postgres to run these against, so the tests check the SQL and hydrate the rows postgres would return
+
+const Comment = new GraphQLObjectType({
+  name: 'Comment',
+  sqlTable: 'comments',
+  uniqueKey: 'id',
+  fields: () => ({
+    id: { type: GraphQLInt },
+    author: {
+      type: User,
+      sqlJoin: (commentTable, userTable) => `${commentTable}."author_id" = ${userTable}."id"`
+    }
+  })
+})
+
+const Post = new GraphQLObjectType({
+  name: 'Post',
+  sqlTable: 'posts',
+  uniqueKey: 'id',
+  fields: {
+    id: { type: GraphQLInt },
+    comments: {
+      type: new GraphQLList(Comment),
+      orderBy: 'id',
+      sqlJoin: (postTable, commentTable) => `${postTable}."id" = ${commentTable}."post_id"`
+    }
+  }
+})
+
+const User = new GraphQLObjectType({
+  name: 'User',
+  sqlTable: 'accounts',
+  uniqueKey: 'id',
+  fields: () => ({
+    id: { type: GraphQLInt },
+    posts: {
+      type: new GraphQLList(Post),
+      orderBy: 'id',
+      sqlJoin: (userTable, postTable) => `${userTable}."id" = ${postTable}."author_id"`
+    },
+    comments: {
+      type: new GraphQLList(Comment),
+      orderBy: 'id',
+      sqlRelation: { thisKey: 'author_id', parentKey: 'id' }
+    },
+    likedPosts: {
+      type: new GraphQLList(Post),
+      orderBy: 'id',
+      sqlRelation: { thisKey: 'user_id', parentKey: 'id' }
+    },
+    following: {
+      type: new GraphQLList(User),
+      junctionTable: 'relationships',
+      sqlJoins: [
+        (followerTable, junctionTable) => `${followerTable}."id" = ${junctionTable}."follower_id"`,
+        (junctionTable, followeeTable) => `${junctionTable}."followee_id" = ${followeeTable}."id"`
+      ]
+    }
+  })
+})
+
+const schema = new GraphQLSchema({
+  query: new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+      users: {
+        type: new GraphQLList(User),
+        // no database here. the tests pass the rows that postgres would send back in the context
+        resolve: (parent, args, context, resolveInfo) => {
+          return joinMonster(resolveInfo, context, sql => {
+            context.queries.push(sql)
+            return Promise.resolve(context.rows.shift() || [])
+          }, { dialect: 'pg', jsonAggregation: true, ...context.options })
+        }
+      }
+    }
+  })
+})
+
+async function run(query, rows = [], options) {
+  const context = { queries: [], rows, options }
+  const { data, errors } = await graphql(schema, query, null, context)
+  return { data, errors, queries: context.queries }
+}
+
+const query = '{ users { id, posts { id, comments { id, author { id } } }, following { id } } }'
+
+test('it should select the joined lists as JSON instead of joining them', async t => {
+  const { errors, queries } = await run(query)
+  t.is(errors, undefined)
+  t.is(queries.length, 1)
+  const [ sql ] = queries
+  t.regex(sql, /SELECT coalesce\(json_agg\("\$rows" ORDER BY "\$rows"\."\$row"\), '\[\]'::json\)/)
+  t.regex(sql, /row_number\(\) OVER \(ORDER BY "posts"\."id" ASC\) AS "\$row"/)
+  t.regex(sql, /WHERE "users"\."id" = "posts"\."author_id"/)
+  // the many-to-many goes through the junction table in the subquery
+  t.regex(sql, /JOIN relationships "relationsh" ON "relationsh"\."followee_id" = "following"\."id"\s+WHERE "users"\."id" = "relationsh"\."follower_id"/)
+  // the one-to-one join stays a join, inside the subquery of the comments
+  t.regex(sql, /LEFT JOIN accounts "author"/)
+  t.notRegex(sql, /LEFT JOIN (posts|comments|relationships)/)
+})
+
+test('it should hydrate the rows in the JSON', async t => {
+  const rows = [ [
+    {
+      id: 1,
+      posts: [
+        { $row: 1, id: 10, comments: [ { $row: 1, id: 100, author__id: 2 }, { $row: 2, id: 101, author__id: 1 } ] },
+        { $row: 2, id: 11, comments: [] }
+      ],
+      following: [ { $row: 1, id: 2 } ]
+    },
+    // some drivers leave the JSON as a string
+    { id: 2, posts: [], following: '[{"$row":1,"id":1}]' }
+  ] ]
+  const { data, errors } = await run(query, rows)
+  t.is(errors, undefined)
+  t.deepEqual(JSON.parse(JSON.stringify(data.users)), [
+    {
+      id: 1,
+      posts: [
+        { id: 10, comments: [ { id: 100, author: { id: 2 } }, { id: 101, author: { id: 1 } } ] },
+        { id: 11, comments: [] }
+      ],
+      following: [ { id: 2 } ]
+    },
+    { id: 2, posts: [], following: [ { id: 1 } ] }
+  ])
+})
+
+test('it should join all the lists with "sqlRelation" when they are aggregated', async t => {
+  const withJson = await run('{ users { comments { id }, likedPosts { id } } }')
+  t.is(withJson.queries.length, 1)
+  const withoutJson = await run('{ users { comments { id }, likedPosts { id } } }', [ [ { id: 1 } ] ], { jsonAggregation: false })
+  t.is(withoutJson.queries.length, 2)
+})
+
+test('it should only aggregate to JSON with postgres', async t => {
+  const { errors, queries } = await run(query, [], { dialect: 'sqlite3' })
+  t.is(errors[0].message, 'The sqlite3 dialect does not support the "jsonAggregation" option.')
+  t.is(queries.length, 0)
+})
+
+test('it should not aggregate to JSON with oracle even though its dialect extends postgres', async t => {
+  const { errors, queries } = await run(query, [], { dialect: 'oracle' })
+  t.is(errors[0].message, 'The oracle dialect does not support the "jsonAggregation" option.')
+  t.is(queries.length, 0)
+})
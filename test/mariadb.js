@@ -0,0 +1,14 @@
+import test from 'ava'
+import { run, pagingQueries } from './_paging-schema'
+
+test('it should page joined one-to-many and many-to-many fields with ROW_NUMBER', async t => {
+  t.snapshot(await run(t, 'mariadb', pagingQueries.joined))
+})
+
+test('it should number the rows under a grouped parent in the grouped rows', async t => {
+  t.snapshot(await run(t, 'mariadb', pagingQueries.groupedParent))
+})
+
+test('it should page batched one-to-many and many-to-many fields with UNION', async t => {
+  t.snapshot(await run(t, 'mariadb', pagingQueries.batched))
+})
@@ -0,0 +1,33 @@
+import test from 'ava'
+import { objToCursor } from '../src/util'
+import { run, pagingQueries } from './_paging-schema'
+
+test('it should page at the root with offsets', async t => {
+  t.snapshot(await run(t, 'mssql', pagingQueries.rootOffset))
+})
+
+test('it should page at the root with keysets', async t => {
+  t.snapshot(await run(t, 'mssql', pagingQueries.rootKeyset))
+})
+
+test('it should page joined one-to-many and many-to-many fields with OUTER APPLY', async t => {
+  t.snapshot(await run(t, 'mssql', pagingQueries.joined))
+})
+
+test('it should page batched one-to-many and many-to-many fields', async t => {
+  t.snapshot(await run(t, 'mssql', pagingQueries.batched))
+})
+
+test('it should use named placeholders and escape without backslashes', async t => {
+  const query = `{
+    usersByKeyset(first: 1, after: "${objToCursor({ id: 'O\'Brien\\' })}") {
+      edges { node { id } }
+    }
+  }`
+  const queries = await run(t, 'mssql', query, true)
+  t.regex(queries[0].sql, /\[id\] > @p1/)
+  t.deepEqual(queries[0].params, [ 'O\'Brien\\' ])
+
+  const inlined = await run(t, 'mssql', query)
+  t.regex(inlined[0], /\[id\] > N'O''Brien\\'/)
+})
@@ -0,0 +1,18 @@
+import test from 'ava'
+import { run, pagingQueries } from './_paging-schema'
+
+test('it should page at the root with offsets', async t => {
+  t.snapshot(await run(t, 'mysql', pagingQueries.rootOffset))
+})
+
+test('it should page at the root with keysets', async t => {
+  t.snapshot(await run(t, 'mysql', pagingQueries.rootKeyset))
+})
+
+test('it should page joined one-to-many and many-to-many fields with LATERAL joins', async t => {
+  t.snapshot(await run(t, 'mysql', pagingQueries.joined))
+})
+
+test('it should page batched one-to-many and many-to-many fields with ROW_NUMBER', async t => {
+  t.snapshot(await run(t, 'mysql', pagingQueries.batched))
+})
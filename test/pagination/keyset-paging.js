@@ -238,6 +238,21 @@ test('nested paging should handle "last" and "before" args', async t => {
   t.is(data.user.posts.edges[1].node.id, toGlobalId('Post', 28))
 })
 
+test('nested paging should count all the items with an aggregate', async t => {
+  const query = `{
+    user(id: 1) {
+      posts(first: 3) {
+        total
+        edges { node { id } }
+      }
+    }
+  }`
+  const { data, errors } = await run(query)
+  t.is(errors, undefined)
+  t.is(data.user.posts.edges.length, 3)
+  t.is(data.user.posts.total, 8)
+})
+
 
 test('can handle nested pagination', async t => {
   const query = `{
@@ -0,0 +1,221 @@
+import test from 'ava'
+import {
+  graphql,
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLString,
+  GraphQLInt
+} from 'graphql'
+import {
+  connectionArgs,
+  connectionDefinitions
+} from 'graphql-relay'
+import { objToCursor } from '../src/util'
+import joinMonster from '../src/index'
+
+// a small schema that never touches the database. the `dbCall` records the SQL and returns canned rows
+function makeSchema(options, queries, rows) {
+  // the rest parameter keeps this out of "callback mode"
+  const dbCall = (...args) => {
+    const [ sql, params ] = args
+    queries.push({ sql, params })
+    return Promise.resolve(rows.shift() || [])
+  }
+
+  const Book = new GraphQLObjectType({
+    name: 'Book',
+    sqlTable: 'books',
+    uniqueKey: 'id',
+    fields: {
+      id: { type: GraphQLInt },
+      title: { type: GraphQLString }
+    }
+  })
+
+  const Author = new GraphQLObjectType({
+    name: 'Author',
+    sqlTable: 'authors',
+    uniqueKey: 'name',
+    fields: {
+      name: { type: GraphQLString },
+      books: {
+        type: new GraphQLList(Book),
+        sqlBatch: {
+          thisKey: 'author_name',
+          parentKey: 'name'
+        }
+      }
+    }
+  })
+
+  const { connectionType: AuthorConnection } = connectionDefinitions({ nodeType: Author })
+
+  return new GraphQLSchema({
+    query: new GraphQLObjectType({
+      name: 'Query',
+      fields: {
+        authors: {
+          type: new GraphQLList(Author),
+          resolve: (parent, args, context, resolveInfo) => joinMonster(resolveInfo, context, dbCall, options)
+        },
+        // the text from a `where` goes into the SQL as it is, even if it looks like what used to mark the values
+        lookalikes: {
+          type: new GraphQLList(Author),
+          where: table => `${table}."name" <> '{{jm:${Buffer.from('"Smith"').toString('base64')}}}'`,
+          resolve: (parent, args, context, resolveInfo) => joinMonster(resolveInfo, context, dbCall, options)
+        },
+        authorConnection: {
+          type: AuthorConnection,
+          args: connectionArgs,
+          sqlPaginate: true,
+          sortKey: {
+            order: 'asc',
+            key: 'name'
+          },
+          resolve: (parent, args, context, resolveInfo) => joinMonster(resolveInfo, context, dbCall, options)
+        },
+        node: {
+          type: Author,
+          args: {
+            name: { type: GraphQLString }
+          },
+          resolve: (parent, args, context, resolveInfo) => {
+            return joinMonster.getNode('Author', resolveInfo, context, args.name, dbCall, options)
+          }
+        }
+      }
+    })
+  })
+}
+
+const batchRows = () => [
+  [ { name: 'O\'Brien' }, { name: 'Smith' } ],
+  [ { id: 1, title: 'Ulysses', author_name: 'O\'Brien' } ]
+]
+
+test('it should pass the batch scope as parameters', async t => {
+  const queries = []
+  const schema = makeSchema({ dialect: 'sqlite3', parameterize: true }, queries, batchRows())
+  const { data, errors } = await graphql(schema, '{ authors { name, books { title } } }')
+  t.is(errors, undefined)
+  t.deepEqual(data.authors[0].books, [ { title: 'Ulysses' } ])
+  t.deepEqual(queries[0].params, [])
+  t.regex(queries[1].sql, /"books"\."author_name" IN \(\?,\?\)/)
+  t.deepEqual(queries[1].params, [ 'O\'Brien', 'Smith' ])
+})
+
+test('it should still inline the escaped values by default', async t => {
+  const queries = []
+  const schema = makeSchema({ dialect: 'sqlite3' }, queries, batchRows())
+  const { errors } = await graphql(schema, '{ authors { name, books { title } } }')
+  t.is(errors, undefined)
+  t.regex(queries[1].sql, /"books"\."author_name" IN \('O''Brien','Smith'\)/)
+  t.is(queries[1].params, undefined)
+})
+
+test('it should use numbered placeholders for getNode in pg', async t => {
+  const queries = []
+  const schema = makeSchema({ dialect: 'pg', parameterize: true }, queries, [ [ { name: 'Smith' } ] ])
+  const { data, errors } = await graphql(schema, '{ node(name: "Smith") { name } }')
+  t.is(errors, undefined)
+  t.deepEqual(data.node, { name: 'Smith' })
+  t.regex(queries[0].sql, /WHERE \("author"\."name" = \$1\)$/)
+  t.deepEqual(queries[0].params, [ 'Smith' ])
+})
+
+test('it should bind the values from keyset cursors', async t => {
+  const queries = []
+  const schema = makeSchema({ dialect: 'oracle', parameterize: true }, queries, [])
+  const cursor = objToCursor({ name: 'Smith' })
+  const { errors } = await graphql(schema, `{
+    authorConnection(first: 2, after: "${cursor}") {
+      edges { node { name } }
+    }
+  }`)
+  t.is(errors, undefined)
+  t.regex(queries[0].sql, /"name" > :1/)
+  t.deepEqual(queries[0].params, [ 'Smith' ])
+})
+
+test('it should support the callback with parameters', async t => {
+  const queries = []
+  const schema = makeSchema({ dialect: 'pg', parameterize: true }, [], [])
+  schema._queryType._fields.node.resolve = (parent, args, context, resolveInfo) => {
+    return joinMonster.getNode('Author', resolveInfo, context, args.name, (sql, params, done) => {
+      queries.push({ sql, params })
+      done(null, [ { name: 'Smith' } ])
+    }, { dialect: 'pg', parameterize: true })
+  }
+  const { data, errors } = await graphql(schema, '{ node(name: "Smith") { name } }')
+  t.is(errors, undefined)
+  t.deepEqual(data.node, { name: 'Smith' })
+  t.deepEqual(queries[0].params, [ 'Smith' ])
+})
+
+// calls getNode with their own `dbCall`, which gets the SQL, the params if any, and the callback if any
+async function getNodeWith(dbCall, options) {
+  const schema = makeSchema(options, [], [])
+  schema._queryType._fields.node.resolve = (parent, args, context, resolveInfo) => {
+    return joinMonster.getNode('Author', resolveInfo, context, args.name, dbCall, options)
+  }
+  return graphql(schema, '{ node(name: "Smith") { name } }')
+}
+
+test('it should call dbCall with or without a callback as the callbackMode option says', async t => {
+  const rows = [ { name: 'Smith' } ]
+  const calls = []
+  const withParams = await getNodeWith((sql, params) => {
+    calls.push(params)
+    return Promise.resolve(rows)
+  }, { dialect: 'pg', callbackMode: false })
+  t.deepEqual(withParams.data.node, { name: 'Smith' })
+
+  const withDone = await getNodeWith((sql, done) => {
+    calls.push(typeof done)
+    done(null, rows)
+  }, { dialect: 'pg', callbackMode: true })
+  t.deepEqual(withDone.data.node, { name: 'Smith' })
+
+  const withParamsAndDone = await getNodeWith((sql, params, done) => {
+    calls.push(params)
+    done(null, rows)
+  }, { dialect: 'pg', parameterize: true, callbackMode: true })
+  t.deepEqual(withParamsAndDone.data.node, { name: 'Smith' })
+
+  const parameterized = await getNodeWith((sql, params) => {
+    calls.push(params)
+    return Promise.resolve(rows)
+  }, { dialect: 'pg', parameterize: true, callbackMode: false })
+  t.deepEqual(parameterized.data.node, { name: 'Smith' })
+
+  t.deepEqual(calls, [ undefined, 'function', [ 'Smith' ], [ 'Smith' ] ])
+})
+
+test('it should not take the values from the text of a where condition', async t => {
+  for (let parameterize of [ true, false ]) {
+    const queries = []
+    const schema = makeSchema({ dialect: 'sqlite3', parameterize }, queries, [])
+    const { errors } = await graphql(schema, '{ lookalikes { name } }')
+    t.is(errors, undefined)
+    t.regex(queries[0].sql, /"lookalikes"\."name" <> '\{\{jm:IlNtaXRoIg==\}\}'$/)
+    t.deepEqual(queries[0].params, parameterize ? [] : undefined)
+  }
+})
+
+test('it should only make the dates in keyset cursors into timestamps for oracle', async t => {
+  const queries = []
+  const schema = makeSchema({ dialect: 'oracle' }, queries, [ [] ])
+  const cursor = objToCursor({ name: '2016-04-17T18:49:15.942Z' })
+  const { errors } = await graphql(schema, `{
+    authorConnection(first: 2, after: "${cursor}") {
+      edges { node { name } }
+    }
+    node(name: "2016-04-17T18:49:15.942Z' OR 1 = 1") { name }
+  }`)
+  t.is(errors, undefined)
+  // the fields resolve at the same time, so the queries can be in either order
+  const sql = queries.map(query => query.sql).join('\n')
+  t.regex(sql, /"name" > TIMESTAMP '2016-04-17 18:49:15\.942 UTC'/)
+  t.regex(sql, /"name" = '2016-04-17T18:49:15\.942Z'' OR 1 = 1'\)$/m)
+})
@@ -0,0 +1,41 @@
+import test from 'ava'
+import { graphql } from 'graphql'
+import schemaBasic from '../test-api/schema-basic/index'
+
+// the context passes the limits
+const run = (query, budget) => graphql(schemaBasic, query, null, { options: budget })
+
+const deepQuery = '{ users { id, postsByRelation { id, related { id, authorByRelation { id } } } } }'
+
+test('it should run queries within the budget', async t => {
+  const budget = { maxDepth: 4, maxJoins: 1, maxBatches: 1, maxEstimatedRows: 129 }
+  const { data, errors } = await run(deepQuery, budget)
+  t.is(errors, undefined)
+  t.is(data.users.length, 3)
+})
+
+test('it should reject queries that nest too deep', async t => {
+  const { errors } = await run(deepQuery, { maxDepth: 3 })
+  t.is(errors[0].message, 'The query is too expensive: it nests 4 tables deep at "users.postsByRelation.related.authorByRelation", but "maxDepth" is 3.')
+})
+
+test('it should count the joins of each query separately', async t => {
+  const { errors } = await run('{ users { postsByRelation { related { authorByRelation { postsByRelation { id } } } } } }', { maxJoins: 1 })
+  t.is(errors[0].message, 'The query is too expensive: it needs 2 joins in one query at "users.postsByRelation.related", but "maxJoins" is 1.')
+})
+
+test('it should reject queries with too many batches', async t => {
+  const { errors } = await run(deepQuery, { maxBatches: 0 })
+  t.is(errors[0].message, 'The query is too expensive: it needs 1 batch, but "maxBatches" is 0.')
+})
+
+test('it should estimate the rows with the hints', async t => {
+  // 3 users, 2 posts each, 10 comments on each post by default, and an author for each comment
+  const { errors } = await run(deepQuery, { maxEstimatedRows: 100 })
+  t.is(errors[0].message, 'The query is too expensive: it is estimated to fetch 129 rows, but "maxEstimatedRows" is 100.')
+})
+
+test('it should report all the limits that are exceeded', async t => {
+  const { errors } = await run(deepQuery, { maxDepth: 2, maxEstimatedRows: 10 })
+  t.regex(errors[0].message, /"maxDepth" is 2; .* "maxEstimatedRows" is 10\.$/)
+})
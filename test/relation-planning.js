@@ -0,0 +1,68 @@
+import test from 'ava'
+import { graphql } from 'graphql'
+import schemaBasic from '../test-api/schema-basic/index'
+
+// the context counts the queries
+async function run(query) {
+  const context = { queries: [] }
+  const { data, errors } = await graphql(schemaBasic, query, null, context)
+  return { data, errors, queries: context.queries }
+}
+
+const ids = list => list.map(item => item.id)
+
+test('it should join the first one-to-many', async t => {
+  const { data, errors, queries } = await run('{ users { id, postsByRelation { id } } }')
+  t.is(errors, undefined)
+  t.is(queries.length, 1)
+  t.deepEqual(data.users.map(user => ids(user.postsByRelation)), [ [ 2 ], [ 1, 3 ], [] ])
+})
+
+test('it should batch the second one-to-many', async t => {
+  const { data, errors, queries } = await run('{ users { id, postsByRelation { id }, commentsByRelation { id } } }')
+  t.is(errors, undefined)
+  t.is(queries.length, 2)
+  t.deepEqual(data.users.map(user => ids(user.postsByRelation)), [ [ 2 ], [ 1, 3 ], [] ])
+  t.deepEqual(data.users.map(user => ids(user.commentsByRelation)), [ [ 1, 4, 6, 8 ], [ 7 ], [ 2, 3, 5, 9 ] ])
+})
+
+test('it should get the same results for the "where" when joined or batched', async t => {
+  const joined = await run('{ users { id, commentsByRelation(active: true) { id } } }')
+  const batched = await run('{ users { id, postsByRelation { id }, commentsByRelation(active: true) { id } } }')
+  t.is(joined.queries.length, 1)
+  t.is(batched.queries.length, 2)
+  const expected = [ [ 1, 4, 6, 8 ], [], [ 3, 5, 9 ] ]
+  t.deepEqual(joined.data.users.map(user => ids(user.commentsByRelation)), expected)
+  t.deepEqual(batched.data.users.map(user => ids(user.commentsByRelation)), expected)
+})
+
+test('it should pass the aliases of the parent tables to the "where" when joined', async t => {
+  const { data, errors, queries } = await run('{ users { id, laterPosts { id } } }')
+  t.is(errors, undefined)
+  t.is(queries.length, 1)
+  t.deepEqual(data.users.map(user => ids(user.laterPosts)), [ [ 2 ], [ 3 ], [] ])
+})
+
+test('it should batch when the hint says there are many rows', async t => {
+  const { data, errors, queries } = await run('{ users { manyComments { id } } }')
+  t.is(errors, undefined)
+  t.is(queries.length, 2)
+  t.deepEqual(data.users.map(user => ids(user.manyComments)), [ [ 1, 4, 6, 8 ], [ 7 ], [ 2, 3, 5, 9 ] ])
+})
+
+test('it should batch paginated relations', async t => {
+  const { data, errors, queries } = await run('{ users { postConnection(first: 1) { edges { node { id } } } } }')
+  t.is(errors, undefined)
+  t.is(queries.length, 2)
+  t.deepEqual(data.users.map(user => user.postConnection.edges.map(edge => edge.node.id)), [ [ 2 ], [ 1 ], [] ])
+})
+
+test('it should join or batch a many-to-many', async t => {
+  const joined = await run('{ users { id, followingByRelation { id } } }')
+  const batched = await run('{ users { id, postsByRelation { id }, followingByRelation { id } } }')
+  t.is(joined.queries.length, 1)
+  t.is(batched.queries.length, 2)
+  const expected = [ [ 2 ], [], [ 1, 2 ] ]
+  t.deepEqual(joined.data.users.map(user => ids(user.followingByRelation)), expected)
+  t.deepEqual(batched.data.users.map(user => ids(user.followingByRelation)), expected)
+})
@@ -0,0 +1,45 @@
+import test from 'ava'
+import { graphql } from 'graphql'
+import schemaBasic from '../test-api/schema-basic/index'
+
+// the context collects the SQL
+async function run(query, variables) {
+  const context = { queries: [] }
+  const { data, errors } = await graphql(schemaBasic, query, null, context, variables)
+  return { data, errors, queries: context.queries }
+}
+
+test('it should not join the fields that are skipped', async t => {
+  const query = 'query ($skip: Boolean!) { user(id: 2) { id, postsByRelation @skip(if: $skip) { id } } }'
+  const skipped = await run(query, { skip: true })
+  t.is(skipped.errors, undefined)
+  t.deepEqual(skipped.data.user, { id: 2 })
+  t.notRegex(skipped.queries[0], /posts/)
+
+  const included = await run(query, { skip: false })
+  t.deepEqual(included.data.user, { id: 2, postsByRelation: [ { id: 1 }, { id: 3 } ] })
+  t.regex(included.queries[0], /posts/)
+})
+
+test('it should not batch the fields that are not included', async t => {
+  const { data, errors, queries } = await run('{ user(id: 2) { id, batchedComments @include(if: false) { id } } }')
+  t.is(errors, undefined)
+  t.deepEqual(data.user, { id: 2 })
+  t.is(queries.length, 1)
+})
+
+test('it should leave out the fragments that are skipped', async t => {
+  const query = `query ($withEmail: Boolean!) {
+    user(id: 2) {
+      id
+      ...on User @include(if: $withEmail) { email }
+      ...postIds @skip(if: true)
+    }
+  }
+  fragment postIds on User { postsByRelation { id } }`
+  const { data, errors, queries } = await run(query, { withEmail: false })
+  t.is(errors, undefined)
+  t.deepEqual(data.user, { id: 2 })
+  t.notRegex(queries[0], /email_address/)
+  t.notRegex(queries[0], /posts/)
+})
@@ -0,0 +1,39 @@
+import test from 'ava'
+import path from 'path'
+import { graphql } from 'graphql'
+import { range } from 'lodash'
+import { makeSchema } from './_paging-schema'
+
+// the batches are run against the sqlite database whatever the DB of the other tests is
+const db = require('knex')({
+  client: 'sqlite3',
+  connection: { filename: path.join(__dirname, '../test-api/data/db/test1-data.sl3') },
+  useNullAsDefault: true
+})
+
+test('it should split a paginated batch with more parents than a compound SELECT can hold', async t => {
+  const queries = []
+  const rootRows = range(1, 602).map(id => ({ id }))
+  const schema = makeSchema('sqlite3', queries, false, { rootRows, db })
+  const query = `{
+    usersByKeyset {
+      edges {
+        node {
+          id
+          batchedComments(first: 2) { edges { node { id } } }
+          followers(first: 2) { edges { node { id } } }
+        }
+      }
+    }
+  }`
+  const { data, errors } = await graphql(schema, query)
+  t.is(errors, undefined)
+  t.is(queries.length, 3)
+  const users = data.usersByKeyset.edges.map(edge => edge.node)
+  t.is(users.length, 601)
+  const ids = connection => connection.edges.map(edge => edge.node.id)
+  const comments = await db.raw('SELECT id FROM comments WHERE author_id = 1 ORDER BY id LIMIT 2')
+  t.deepEqual(ids(users[0].batchedComments), comments.map(comment => comment.id))
+  t.deepEqual(ids(users[600].batchedComments), [])
+  t.deepEqual(ids(users[600].followers), [])
+})
@@ -0,0 +1,122 @@
+import test from 'ava'
+import { graphql } from 'graphql'
+import schemaBasic from '../test-api/schema-basic/index'
+import User from '../test-api/schema-basic/User'
+
+const { STRATEGY } = process.env
+// the written material is joined, unless it's batched too
+const batched = STRATEGY === 'batch' ? 1 : 0
+
+// the context counts the queries
+async function run(query) {
+  const context = { queries: [] }
+  const { data, errors } = await graphql(schemaBasic, query, null, context)
+  return { data, errors, queries: context.queries }
+}
+
+const ids = list => list.map(item => item.id)
+
+// user 1 wrote post 2, and comments 1, 4, 6, and 8
+const expected = [
+  { __typename: 'Comment', id: 1, related: [ 1, 4, 6, 8 ] },
+  { __typename: 'Post', id: 2, related: [ 4, 5, 6, 7, 8 ] },
+  { __typename: 'Comment', id: 4, related: [ 1, 4, 6, 8 ] },
+  { __typename: 'Comment', id: 6, related: [ 1, 4, 6, 8 ] },
+  { __typename: 'Comment', id: 8, related: [ 1, 4, 6, 8 ] }
+]
+
+const withRelatedIds = list => list.map(item => ({ ...item, related: ids(item.related) }))
+
+test('it should batch the fields of each member type of a union', async t => {
+  const { data, errors, queries } = await run(`{
+    user(id: 1) {
+      writtenMaterial1 {
+        __typename
+        ... on Comment { id, related { id } }
+        ... on Post { id, related { id } }
+      }
+    }
+  }`)
+  t.is(errors, undefined)
+  t.is(queries.length, 3 + batched)
+  t.deepEqual(withRelatedIds(data.user.writtenMaterial1), expected)
+})
+
+test('it should batch the fields of each type that implements an interface', async t => {
+  const { data, errors } = await run(`{
+    user(id: 1) {
+      writtenMaterial2 {
+        __typename
+        id
+        ... on Comment { related { id } }
+        ... on Post { related { id } }
+      }
+    }
+  }`)
+  t.is(errors, undefined)
+  t.deepEqual(withRelatedIds(data.user.writtenMaterial2), expected)
+})
+
+test('it should batch a many-to-many on a member type', async t => {
+  const { data, errors, queries } = await run('{ user(id: 3) { writtenMaterial1 { ... on Comment { id, batchedLikers { id } } } } }')
+  t.is(errors, undefined)
+  t.is(queries.length, 2 + batched)
+  const likers = data.user.writtenMaterial1.filter(item => item.id).map(item => [ item.id, ids(item.batchedLikers) ])
+  t.deepEqual(likers, [ [ 2, [] ], [ 3, [ 1, 3 ] ], [ 5, [] ], [ 9, [ 1, 2 ] ] ])
+})
+
+test('it should skip the batches for the types that are not there', async t => {
+  const { data, errors, queries } = await run('{ user(id: 2) { writtenMaterial1 { ... on Post { id, related { id } } } } }')
+  t.is(errors, undefined)
+  t.is(queries.length, 2 + batched)
+  t.deepEqual(data.user.writtenMaterial1.filter(item => item.id).map(item => ids(item.related)), [ [ 1, 2, 3 ], [ 9 ] ])
+
+  // user 3 didn't write any posts, so there are no posts to batch for
+  const noPosts = await run('{ user(id: 3) { writtenMaterial1 { ... on Post { id, related { id } } } } }')
+  t.is(noPosts.errors, undefined)
+  t.is(noPosts.queries.length, 1 + batched)
+})
+
+test('it should batch the fields of the member type of a single object', async t => {
+  const { data, errors } = await run('{ user(id: 1) { firstPost { ... on Post { id, related { id } } ... on Comment { id, related { id } } } } }')
+  t.is(errors, undefined)
+  t.deepEqual(ids(data.user.firstPost.related), [ 4, 5, 6, 7, 8 ])
+})
+
+test('it should plan the relations on a member type like any other', async t => {
+  // the comments get a batch when the list of written material is joined, and are joined to it when it's batched
+  const { data, errors, queries } = await run('{ user(id: 1) { writtenMaterial1 { ... on Post { id, commentsByRelation { id } } } } }')
+  t.is(errors, undefined)
+  t.is(queries.length, 2)
+  const [ post ] = data.user.writtenMaterial1.filter(item => item.commentsByRelation)
+  t.deepEqual(ids(post.commentsByRelation), [ 4, 5, 6, 7, 8 ])
+})
+
+test('it should resolve an aliased field on each member type', async t => {
+  const { data, errors } = await run(`{
+    user(id: 1) {
+      writtenMaterial2 {
+        __typename
+        id
+        ... on Comment { mine: related { id } }
+        ... on Post { mine: related { id } }
+      }
+    }
+  }`)
+  t.is(errors, undefined)
+  t.deepEqual(data.user.writtenMaterial2.map(({ mine, ...item }) => ({ ...item, related: ids(mine) })), expected)
+})
+
+test('it should resolve the types with the info of the union field', async t => {
+  const context = { resolveInfos: [] }
+  const { errors } = await graphql(schemaBasic, '{ user(id: 1) { writtenMaterial1 { ... on Post { id, related { id } } } } }', null, context)
+  t.is(errors, undefined)
+  // once by join monster and once by GraphQL for each of the 5 objects
+  t.is(context.resolveInfos.length, 10)
+  for (let resolveInfo of context.resolveInfos) {
+    t.is(resolveInfo.fieldName, 'writtenMaterial1')
+    t.is(resolveInfo.parentType, User)
+    t.is(resolveInfo.returnType, User.getFields().writtenMaterial1.type)
+    t.is((resolveInfo.fieldNodes || resolveInfo.fieldASTs)[0].name.value, 'writtenMaterial1')
+  }
+})
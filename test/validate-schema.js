@@ -0,0 +1,126 @@
+import test from 'ava'
+import {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLString,
+  GraphQLInt
+} from 'graphql'
+import {
+  connectionArgs,
+  connectionDefinitions
+} from 'graphql-relay'
+import schemaBasic from '../test-api/schema-basic/index'
+import joinMonster from '../src/index'
+
+const Comment = new GraphQLObjectType({
+  name: 'Comment',
+  sqlTable: 'comments',
+  fields: {
+    id: { type: GraphQLInt },
+    body: { type: GraphQLString }
+  }
+})
+
+const { connectionType: CommentConnection } = connectionDefinitions({ nodeType: Comment })
+
+const User = new GraphQLObjectType({
+  name: 'User',
+  sqlTable: 'accounts',
+  uniqueKey: 'id',
+  fields: () => ({
+    id: { type: GraphQLInt },
+    comments: {
+      type: new GraphQLList(Comment),
+      sqlPaginate: true,
+      sortKey: { key: 'id' },
+      sqlBatch: { thisKey: 'author_id' }
+    },
+    pagedComments: {
+      type: CommentConnection,
+      args: connectionArgs,
+      sqlPaginate: true,
+      orderBy: 'id',
+      sqlJoin: (userTable, commentTable) => `${commentTable}.author_id = ${userTable}.id`
+    },
+    lostComments: {
+      type: new GraphQLList(Comment)
+    },
+    relatedComments: {
+      type: new GraphQLList(Comment),
+      sqlRelation: { thisKey: 'author_id' }
+    },
+    ignoredComments: {
+      type: new GraphQLList(Comment),
+      jmIgnoreTable: true
+    },
+    following: {
+      type: new GraphQLList(User),
+      junctionTable: 'relationships',
+      sqlAggregates: { total: { fn: 'median', column: 'id' } }
+    },
+    numComments: {
+      type: GraphQLInt,
+      sqlAggregate: { fn: 'sum' }
+    }
+  })
+})
+
+const schema = new GraphQLSchema({
+  query: new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+      user: {
+        type: User,
+        sqlJoin: () => 'nope'
+      },
+      users: {
+        type: new GraphQLList(User),
+        args: { search: { type: GraphQLString } },
+        sqlFilter: 'filter'
+      },
+      version: {
+        type: GraphQLString,
+        jmIgnoreAll: true,
+        sqlPaginate: true
+      }
+    }
+  })
+})
+
+test('it should pass a correct schema', t => {
+  t.notThrows(() => joinMonster.validateSchema(schemaBasic, { dialect: 'sqlite3' }))
+  t.notThrows(() => joinMonster.validateSchema(schemaBasic, { dialect: 'pg' }))
+})
+
+test('it should report every problem with its path', t => {
+  const err = t.throws(() => joinMonster.validateSchema(schema, { dialect: 'pg' }))
+  t.deepEqual(err.problems, [
+    { path: 'Query.user', message: 'can not have "sqlJoin" because it is at the root' },
+    { path: 'Query.users', message: '"sqlFilter" refers to the "filter" argument, which the field does not have' },
+    { path: 'User.comments', message: '"sqlBatch" must have "parentKey"' },
+    { path: 'User.comments', message: 'can not have "sqlPaginate" because the [Comment] type is not a connection with "edges" and "pageInfo"' },
+    { path: 'User.comments', message: '"sortKey" must have "order"' },
+    { path: 'User.lostComments', message: 'must have "sqlJoin", "sqlBatch", "sqlRelation", or "junctionTable" to fetch the Comment table from the User table. Or ignore it with "jmIgnoreTable"' },
+    { path: 'User.relatedComments', message: '"sqlRelation" must have "parentKey"' },
+    { path: 'User.following', message: 'must have "sqlJoins", "junctionBatch", or "sqlRelation" because it has a "junctionTable"' },
+    { path: 'User.following', message: 'can only have "sqlAggregates" on a connection' },
+    { path: 'User.following', message: '"total" in "sqlAggregates" has an unknown function "median". Valid functions are count, sum, min, max, avg' },
+    { path: 'User.numComments', message: 'can not have "sqlAggregate" because the User type has no "sqlGroupBy"' },
+    { path: 'User.numComments', message: '"sqlAggregate" must have a "column" for "sum"' },
+    { path: 'Comment', message: 'must have a "uniqueKey" because it has a "sqlTable"' }
+  ])
+  t.regex(err.message, /^The schema has 13 problems for Join Monster:\n {2}Query.user: can not have "sqlJoin"/)
+})
+
+test('it should report the pagination that the dialect does not support', t => {
+  const err = t.throws(() => joinMonster.validateSchema(schema, { dialect: 'sqlite3' }))
+  t.deepEqual(err.problems.filter(problem => problem.path === 'User.pagedComments'), [
+    { path: 'User.pagedComments', message: 'the sqlite3 dialect does not support pagination on a one-to-many "sqlJoin"' }
+  ])
+})
+
+test('it should reject unknown dialects', t => {
+  const err = t.throws(() => joinMonster.validateSchema(schemaBasic, { dialect: 'access' }))
+  t.is(err.message, 'Unknown dialect "access".')
+})